@@ -2,413 +2,3785 @@
  * UmamiTracker - A comprehensive utility for enhanced Umami Analytics tracking
  * Handles clicks, scroll depth, time on page, element visibility, and more
  */
-class UmamiTracker {
-    constructor(options = {}) {
-        this.options = {
-            // Scroll tracking options
-            scrollDepthThresholds: [25, 50, 75, 90],
-            scrollDebounceMs: 100,
-
-            // Time tracking options
-            heartbeatInterval: 30000, // 30 seconds
-            idleTimeout: 60000, // 1 minute
-
-            // Click tracking options
-            autoTrackClicks: true,
-            autoTrackAllClicks: false, // Track ALL clicks, not just data-umami-track elements
-            clickSelector: '[data-umami-track]',
-
-            // Visibility tracking options
-            visibilityThreshold: 0.5, // 50% visible
-            visibilitySelector: '[data-umami-visible]',
-
-            // General options
-            debug: false,
-            ...options
-        };
 
-        this.state = {
-            scrollDepthTracked: [],
-            startTime: Date.now(),
-            lastActivity: Date.now(),
-            heartbeatTimer: null,
-            isIdle: false,
-            visibleElements: new Set()
+// Everything but UmamiTracker stays private to this file
+(function () {
+    /**
+     * Create a persistence backend for the offline event queue.
+     * Backends expose load(callback) and save(items); returns null for memory-only.
+     */
+    function createQueueStorage(type, key) {
+        if (type === 'indexedDB' && window.indexedDB) {
+            return createIndexedDBStorage(key);
+        }
+        if (type === 'localStorage' || type === 'indexedDB') {
+            try {
+                const storage = window.localStorage;
+                return {
+                    load(callback) {
+                        let items = [];
+                        try {
+                            items = JSON.parse(storage.getItem(key)) || [];
+                        } catch {
+                            // Corrupt entries are discarded
+                        }
+                        callback(Array.isArray(items) ? items : []);
+                    },
+                    save(items) {
+                        try {
+                            if (items.length) {
+                                storage.setItem(key, JSON.stringify(items));
+                            } else {
+                                storage.removeItem(key);
+                            }
+                        } catch {
+                            // Quota exceeded or storage disabled; the in-memory queue still works
+                        }
+                    }
+                };
+            } catch {
+                // Accessing localStorage throws when cookies are blocked
+            }
+        }
+        return null;
+    }
+
+    function createIndexedDBStorage(key) {
+        const storeName = 'queue';
+        let db = null;
+        let waiting = null;
+
+        const withDb = (callback) => {
+            if (db) return callback(db);
+            if (waiting) return waiting.push(callback);
+
+            waiting = [callback];
+            const flush = (result) => {
+                db = result;
+                const callbacks = waiting;
+                waiting = null;
+                callbacks.forEach(cb => cb(result));
+            };
+            try {
+                const request = window.indexedDB.open('umami-kit', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => flush(request.result);
+                request.onerror = () => flush(null);
+            } catch {
+                flush(null);
+            }
         };
 
-        this.init();
+        return {
+            load(callback) {
+                withDb(database => {
+                    if (!database) return callback([]);
+                    const request = database.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+                    request.onsuccess = () => callback(Array.isArray(request.result) ? request.result : []);
+                    request.onerror = () => callback([]);
+                });
+            },
+            save(items) {
+                withDb(database => {
+                    if (!database) return;
+                    database.transaction(storeName, 'readwrite').objectStore(storeName).put(items, key);
+                });
+            }
+        };
     }
 
-    init() {
-        this.waitForUmami(() => {
-            this.log('UmamiTracker initialized');
-            this.setupScrollTracking();
-            this.setupTimeTracking();
-            this.setupClickTracking();
-            this.setupVisibilityTracking();
-            this.setupIdleTracking();
-            this.setupPageExitTracking();
-        });
+    /**
+     * Transports deliver events. A transport exposes isReady() and send(item), where
+     * item is { event, data, url, timestamp }. send() signals failure by throwing or
+     * by returning a rejected promise; the event is then queued for retry.
+     */
+    function createUmamiTransport() {
+        return {
+            name: 'umami',
+            isReady() {
+                return !!(window.umami && typeof window.umami.track === 'function');
+            },
+            send(item) {
+                // Queued events can be replayed on a later page; keep the URL they were recorded on
+                if (item.url && item.url !== window.location.href) {
+                    window.umami.track(props => ({ ...props, url: item.url, name: item.event, data: item.data }));
+                    return;
+                }
+                window.umami.track(item.event, item.data);
+            }
+        };
     }
 
-    waitForUmami(callback, attempts = 0, maxAttempts = 50) {
-        if (window.umami && typeof window.umami.track === 'function') {
-            callback();
-        } else if (attempts < maxAttempts) {
-            setTimeout(() => this.waitForUmami(callback, attempts + 1, maxAttempts), 100);
-        } else {
-            console.warn('UmamiTracker: Umami not found after waiting');
+    /**
+     * Post events straight to the Umami collector (/api/send), bypassing the Umami script.
+     * Uses navigator.sendBeacon so events survive page unload, falling back to fetch with keepalive.
+     */
+    function createBeaconTransport({ hostUrl, websiteId }) {
+        const script = document.querySelector('script[data-website-id]');
+        let scriptOrigin = null;
+        try {
+            scriptOrigin = script && script.src ? new URL(script.src, window.location.href).origin : null;
+        } catch {
+            // Ignore unparsable script URLs
         }
+
+        const website = websiteId || (script && script.dataset.websiteId);
+        const host = hostUrl || (script && script.dataset.hostUrl) || scriptOrigin;
+        const endpoint = host ? `${host.replace(/\/+$/, '')}/api/send` : null;
+
+        return {
+            name: 'beacon',
+            endpoint,
+            isReady() {
+                return !!(endpoint && website);
+            },
+            buildPayload(item) {
+                const url = new URL(item.url || window.location.href, window.location.href);
+                return {
+                    type: 'event',
+                    payload: {
+                        website,
+                        hostname: url.hostname,
+                        url: url.pathname + url.search,
+                        referrer: document.referrer,
+                        language: navigator.language,
+                        screen: window.screen ? `${window.screen.width}x${window.screen.height}` : undefined,
+                        title: document.title,
+                        name: item.event,
+                        data: item.data
+                    }
+                };
+            },
+            send(item) {
+                // A text/plain body keeps sendBeacon and fetch free of CORS preflights
+                const body = JSON.stringify(this.buildPayload(item));
+
+                if (navigator.sendBeacon) {
+                    if (!navigator.sendBeacon(endpoint, body)) {
+                        throw new Error('sendBeacon rejected the event');
+                    }
+                    return;
+                }
+
+                return fetch(endpoint, {
+                    method: 'POST',
+                    body,
+                    headers: { 'Content-Type': 'text/plain' },
+                    keepalive: true,
+                    credentials: 'omit'
+                }).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Collector responded with ${response.status}`);
+                    }
+                });
+            }
+        };
     }
 
-    log(...args) {
-        if (this.options.debug) {
-            console.log('[UmamiTracker]', ...args);
-        }
+    function toEventData(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
     }
 
-    track(event, data = {}) {
-        if (window.umami && typeof window.umami.track === 'function') {
-            window.umami.track(event, data);
-            this.log('Event tracked:', event, data);
-        } else {
-            this.log('Umami not available, event not tracked:', event, data);
+    /**
+     * Consent categories; every automatically collected event belongs to one of these.
+     * Events without a category (trackEvent, ecommerce, plugins) fall under 'custom'.
+     */
+    const CONSENT_CATEGORIES = ['clicks', 'scroll', 'time', 'visibility', 'forms', 'media', 'errors', 'performance', 'funnels', 'custom'];
+
+    /**
+     * Campaign parameters recorded at the start of a session, and the event data keys they map to
+     */
+    const UTM_PARAMS = {
+        utm_source: 'utmSource',
+        utm_medium: 'utmMedium',
+        utm_campaign: 'utmCampaign',
+        utm_term: 'utmTerm',
+        utm_content: 'utmContent'
+    };
+
+    function getUtmParams(url) {
+        const utm = {};
+        try {
+            const params = new URL(url).searchParams;
+            Object.keys(UTM_PARAMS).forEach(param => {
+                if (params.get(param)) utm[UTM_PARAMS[param]] = params.get(param);
+            });
+        } catch {
+            // Not a parseable URL, so no campaign
         }
+        return utm;
     }
 
-    // Scroll Depth Tracking
-    setupScrollTracking() {
-        let scrollTimeout;
+    /**
+     * Core Web Vitals rating boundaries: [good, needs-improvement]; anything above is poor
+     */
+    const WEB_VITAL_THRESHOLDS = {
+        lcp: [2500, 4000],
+        fcp: [1800, 3000],
+        inp: [200, 500],
+        cls: [0.1, 0.25],
+        ttfb: [800, 1800]
+    };
 
-        const handleScroll = () => {
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(() => {
-                this.checkScrollDepth();
-            }, this.options.scrollDebounceMs);
-        };
+    /**
+     * Ecommerce methods and the events they send
+     */
+    const ECOMMERCE_EVENTS = {
+        viewItem: 'view-item',
+        addToCart: 'add-to-cart',
+        removeFromCart: 'remove-from-cart',
+        beginCheckout: 'begin-checkout',
+        purchase: 'purchase',
+        refund: 'refund'
+    };
 
-        window.addEventListener('scroll', handleScroll, { passive: true });
-        this.log('Scroll tracking enabled');
-    }
+    const ECOMMERCE_ITEM_FIELDS = ['id', 'name', 'category', 'brand', 'variant', 'price', 'quantity'];
 
-    checkScrollDepth() {
-        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const scrollPercent = Math.round((window.scrollY / scrollHeight) * 100);
+    /**
+     * Validated identifiers in ecommerce and product events. PII detectors skip them, since
+     * numeric SKUs and order numbers can look like phone or card numbers.
+     */
+    const ECOMMERCE_ID_EVENTS = Object.values(ECOMMERCE_EVENTS).concat(['product-impression', 'product-click']);
+    const ECOMMERCE_ID_KEY = /^(?:transactionId|itemIds|item\d+Id)$/;
 
-        this.options.scrollDepthThresholds.forEach(threshold => {
-            if (scrollPercent >= threshold && !this.state.scrollDepthTracked.includes(threshold)) {
-                this.track('scroll-depth', {
-                    depth: threshold,
-                    percentage: `${threshold}%`,
-                    pixels: window.scrollY
-                });
-                this.state.scrollDepthTracked.push(threshold);
-                this.log(`Scroll depth tracked: ${threshold}%`);
-            }
-        });
+    function isEcommerceIdentifier(event, key) {
+        return ECOMMERCE_ID_EVENTS.includes(event) && ECOMMERCE_ID_KEY.test(key);
     }
 
-    // Time Tracking with Idle Detection
-    setupTimeTracking() {
-        this.startHeartbeat();
-        this.log('Time tracking enabled');
+    /**
+     * Umami's event data limits: properties per event and characters per string
+     */
+    const UMAMI_MAX_PROPERTIES = 50;
+    const UMAMI_MAX_STRING_LENGTH = 500;
+
+    function isEcommerceId(value) {
+        return (typeof value === 'string' && value.trim() !== '') || Number.isFinite(value);
     }
 
-    startHeartbeat() {
-        this.state.heartbeatTimer = setInterval(() => {
-            if (!this.state.isIdle) {
-                const timeSpent = Math.round((Date.now() - this.state.startTime) / 1000);
-                this.track('time-on-page', {
-                    seconds: timeSpent,
-                    minutes: Math.round(timeSpent / 60)
-                });
-            }
-        }, this.options.heartbeatInterval);
+    function isEcommerceAmount(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
     }
 
-    setupIdleTracking() {
-        const resetIdleTimer = () => {
-            this.state.lastActivity = Date.now();
-            if (this.state.isIdle) {
-                this.state.isIdle = false;
-                this.track('user-active', {
-                    idleDuration: Math.round((Date.now() - this.state.lastActivity) / 1000)
-                });
-            }
-        };
+    /**
+     * Problems with an ecommerce payload, as messages; empty when it is valid
+     */
+    function validateEcommercePayload(method, payload, defaultCurrency) {
+        if (!payload || typeof payload !== 'object') return ['payload must be an object'];
 
-        const checkIdle = () => {
-            const timeSinceActivity = Date.now() - this.state.lastActivity;
-            if (timeSinceActivity > this.options.idleTimeout && !this.state.isIdle) {
-                this.state.isIdle = true;
-                this.track('user-idle', {
-                    timeBeforeIdle: Math.round(timeSinceActivity / 1000)
-                });
+        const errors = [];
+        const items = payload.items === undefined ? [] : [].concat(payload.items);
+        if (!items.length && method !== 'refund') errors.push('items must contain at least one item');
+
+        items.forEach((item, i) => {
+            if (!item || typeof item !== 'object') {
+                errors.push(`items[${i}] must be an object`);
+                return;
             }
-        };
+            if (!isEcommerceId(item.id)) errors.push(`items[${i}].id is required`);
+            ['name', 'category', 'brand', 'variant'].forEach(field => {
+                if (item[field] !== undefined && typeof item[field] !== 'string') errors.push(`items[${i}].${field} must be a string`);
+            });
+            if (item.price !== undefined && !isEcommerceAmount(item.price)) errors.push(`items[${i}].price must be a non-negative number`);
+            if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+                errors.push(`items[${i}].quantity must be a positive integer`);
+            }
+        });
 
-        // Track user activity
-        ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart', 'click'].forEach(event => {
-            document.addEventListener(event, resetIdleTimer, { passive: true });
+        ['value', 'tax', 'shipping'].forEach(field => {
+            if (payload[field] !== undefined && !isEcommerceAmount(payload[field])) errors.push(`${field} must be a non-negative number`);
         });
+        if (payload.coupon !== undefined && typeof payload.coupon !== 'string') errors.push('coupon must be a string');
+        if ((method === 'purchase' || method === 'refund') && !isEcommerceId(payload.transactionId)) {
+            errors.push('transactionId is required');
+        }
 
-        // Check for idle state every 30 seconds
-        setInterval(checkIdle, 30000);
-        this.log('Idle tracking enabled');
+        const currency = payload.currency !== undefined ? payload.currency : defaultCurrency;
+        const hasAmount = payload.value !== undefined || items.some(item => item && item.price !== undefined);
+        if (currency !== undefined && currency !== null && !/^[A-Za-z]{3}$/.test(currency)) {
+            errors.push('currency must be a 3-letter ISO 4217 code');
+        } else if (hasAmount && !currency) {
+            errors.push('currency is required with a value or item prices');
+        }
+        return errors;
     }
 
-    // Click Tracking
-    setupClickTracking() {
-        if (!this.options.autoTrackClicks) return;
+    /**
+     * Flatten a valid ecommerce payload into Umami event data. Items become item1Id, item1Price, ...
+     * for as many items as fit in UMAMI_MAX_PROPERTIES; itemIds and itemCount always cover them all.
+     */
+    function flattenEcommercePayload(payload, defaultCurrency, extra = {}) {
+        const items = payload.items === undefined ? [] : [].concat(payload.items);
+        const currency = payload.currency || defaultCurrency;
+        const data = { ...extra };
 
-        // Track ALL clicks if autoTrackAllClicks is enabled
-        if (this.options.autoTrackAllClicks) {
-            document.addEventListener('click', (e) => {
-                const element = e.target.closest('button, a, input[type="submit"], [role="button"]');
-                if (element) {
-                    const eventData = {
-                        ...this.getElementData(element),
-                        clickType: 'auto-tracked'
-                    };
-                    this.track('click', eventData);
-                }
-            });
-            this.log('All clicks tracking enabled');
+        if (payload.transactionId !== undefined) data.transactionId = String(payload.transactionId);
+        if (currency) data.currency = currency.toUpperCase();
+
+        // Without an explicit value, use the item total when every item has a price
+        let value = payload.value;
+        if (value === undefined && items.length && items.every(item => item.price !== undefined)) {
+            value = Math.round(items.reduce((sum, item) => sum + item.price * (item.quantity || 1), 0) * 100) / 100;
         }
+        if (value !== undefined) data.value = value;
 
-        // Track elements with data-umami-track attribute
-        document.addEventListener('click', (e) => {
-            const element = e.target.closest(this.options.clickSelector);
-            if (element) {
-                const eventName = element.dataset.umamiTrack || 'click';
-                const eventData = this.getElementData(element);
-                this.track(eventName, eventData);
-            }
+        ['tax', 'shipping', 'coupon'].forEach(field => {
+            if (payload[field] !== undefined) data[field] = payload[field];
         });
 
-        // Track all external links
-        document.addEventListener('click', (e) => {
-            const link = e.target.closest('a[href]');
-            if (link && this.isExternalLink(link.href)) {
-                this.track('external-link-click', {
-                    url: link.href,
-                    text: link.textContent.trim().substring(0, 50)
-                });
+        if (items.length) {
+            data.itemCount = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+            data.itemIds = items.map(item => String(item.id)).join(',');
+        }
+
+        for (let i = 0; i < items.length; i++) {
+            const fields = ECOMMERCE_ITEM_FIELDS.filter(field => items[i][field] !== undefined);
+            // Keep a property free for itemsTruncated while more items follow
+            const reserved = i < items.length - 1 ? 1 : 0;
+            if (Object.keys(data).length + fields.length + reserved > UMAMI_MAX_PROPERTIES) {
+                data.itemsTruncated = true;
+                break;
             }
+            fields.forEach(field => {
+                const value = field === 'id' ? String(items[i].id) : items[i][field];
+                data[`item${i + 1}${field.charAt(0).toUpperCase()}${field.slice(1)}`] = value;
+            });
+        }
+
+        Object.keys(data).forEach(key => {
+            if (typeof data[key] === 'string') data[key] = data[key].substring(0, UMAMI_MAX_STRING_LENGTH);
         });
+        return data;
+    }
 
-        this.log('Click tracking enabled');
+    /**
+     * Property types an event schema can declare (see defineEventSchema)
+     */
+    const EVENT_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+    function matchesSchemaType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            default: return false;
+        }
     }
 
-    getElementData(element) {
-        const data = {};
+    /**
+     * Problems with an event schema's property rules, as messages; empty when they are valid
+     */
+    function getEventSchemaProblems(properties) {
+        if (!properties || typeof properties !== 'object' || Array.isArray(properties)) return ['properties must be an object'];
 
-        // Extract custom data attributes
-        Object.keys(element.dataset).forEach(key => {
-            if (key.startsWith('umamiData')) {
-                const dataKey = key.replace('umamiData', '').toLowerCase();
-                data[dataKey] = element.dataset[key];
+        const problems = [];
+        Object.keys(properties).forEach(key => {
+            const rule = properties[key];
+            if (!rule || !EVENT_SCHEMA_TYPES.includes(rule.type)) {
+                problems.push(`${key} needs a type: ${EVENT_SCHEMA_TYPES.join(', ')}`);
+            } else if (rule.enum !== undefined && !(Array.isArray(rule.enum) && rule.enum.every(value => matchesSchemaType(value, rule.type)))) {
+                problems.push(`${key}.enum must be a list of ${rule.type} values`);
+            } else if (rule.maxLength !== undefined && (rule.type !== 'string' || !(Number.isInteger(rule.maxLength) && rule.maxLength >= 0))) {
+                problems.push(`${key}.maxLength needs a string property and a non-negative integer`);
             }
         });
+        return problems;
+    }
 
-        // Add common element properties
-        if (element.tagName) data.element = element.tagName.toLowerCase();
-        if (element.id) data.id = element.id;
-        if (element.className) data.classes = element.className;
-        if (element.textContent) data.text = element.textContent.trim().substring(0, 50);
-        if (element.href) data.href = element.href;
+    /**
+     * Ways event data breaks its schema, as messages; empty when it matches
+     */
+    function getSchemaViolations(data, schema) {
+        const violations = [];
 
-        return data;
-    }
+        Object.keys(schema.properties).forEach(key => {
+            const rule = schema.properties[key];
+            const value = data[key];
+            if (value === undefined || value === null) {
+                if (rule.required) violations.push(`${key} is required`);
+            } else if (!matchesSchemaType(value, rule.type)) {
+                violations.push(`${key} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`);
+            } else if (rule.enum && !rule.enum.includes(value)) {
+                violations.push(`${key} must be one of ${rule.enum.join(', ')}`);
+            } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                violations.push(`${key} is longer than ${rule.maxLength} characters`);
+            }
+        });
 
-    isExternalLink(url) {
-        try {
-            const link = new URL(url, window.location.href);
-            return link.hostname !== window.location.hostname;
-        } catch {
-            return false;
+        if (!schema.additionalProperties) {
+            Object.keys(data)
+                .filter(key => !Object.prototype.hasOwnProperty.call(schema.properties, key))
+                .forEach(key => violations.push(`${key} is not in the schema`));
         }
+        return violations;
     }
 
-    // Element Visibility Tracking
-    setupVisibilityTracking() {
-        if (!window.IntersectionObserver) {
-            this.log('IntersectionObserver not supported, visibility tracking disabled');
-            return;
+    function coerceSchemaValue(value, type) {
+        if (type === 'string') {
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
         }
+        if (type === 'boolean') {
+            return value === 'true' ? true : value === 'false' ? false : undefined;
+        }
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (type === 'integer') {
+            return typeof number === 'number' && Number.isFinite(number) ? Math.round(number) : undefined;
+        }
+        return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                const element = entry.target;
-                const elementId = element.id || element.className || 'unnamed-element';
-
-                if (entry.isIntersecting && !this.state.visibleElements.has(elementId)) {
-                    this.state.visibleElements.add(elementId);
-                    const eventName = element.dataset.umamiVisible || 'element-visible';
-                    const eventData = {
-                        element: elementId,
-                        intersectionRatio: Math.round(entry.intersectionRatio * 100),
-                        ...this.getElementData(element)
-                    };
-                    this.track(eventName, eventData);
-                }
-            });
-        }, {
-            threshold: this.options.visibilityThreshold
-        });
+    /**
+     * Best-effort fix for data that breaks its schema: keys that differ only in case are renamed,
+     * values are coerced to their type and long strings truncated. Values that cannot be fixed,
+     * and undeclared keys when additionalProperties is false, are removed. Returns null when a
+     * required key is still missing.
+     */
+    function repairEventData(data, schema) {
+        const declared = Object.keys(schema.properties);
+        const repaired = {};
 
-        // Observe elements with visibility tracking
-        document.querySelectorAll(this.options.visibilitySelector).forEach(el => {
-            observer.observe(el);
+        Object.keys(data).forEach(key => {
+            const target = Object.prototype.hasOwnProperty.call(schema.properties, key)
+                ? key
+                : declared.find(name => name.toLowerCase() === key.toLowerCase() && !Object.prototype.hasOwnProperty.call(data, name));
+            if (!target) {
+                if (schema.additionalProperties) repaired[key] = data[key];
+                return;
+            }
+
+            const rule = schema.properties[target];
+            let value = data[key];
+            if (value === undefined || value === null) return;
+            if (!matchesSchemaType(value, rule.type)) value = coerceSchemaValue(value, rule.type);
+            if (value === undefined || (rule.enum && !rule.enum.includes(value))) return;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) value = value.substring(0, rule.maxLength);
+            repaired[target] = value;
         });
 
-        this.log('Visibility tracking enabled');
+        const missing = declared.some(key => schema.properties[key].required && repaired[key] === undefined);
+        return missing ? null : repaired;
     }
 
-    // Page Exit Tracking
-    setupPageExitTracking() {
-        const trackPageExit = () => {
-            const totalTime = Math.round((Date.now() - this.state.startTime) / 1000);
-            const maxScroll = Math.max(...this.state.scrollDepthTracked, 0);
+    /**
+     * Refills continuously up to `limitPerMinute` tokens; each event takes one
+     */
+    function createTokenBucket(limitPerMinute) {
+        let tokens = limitPerMinute;
+        let updatedAt = Date.now();
 
-            this.track('page-exit', {
-                totalTimeSeconds: totalTime,
-                maxScrollDepth: maxScroll,
-                scrollDepthsReached: this.state.scrollDepthTracked.length
-            });
+        return {
+            take() {
+                const now = Date.now();
+                tokens = Math.min(limitPerMinute, tokens + (now - updatedAt) * limitPerMinute / 60000);
+                updatedAt = now;
+                if (tokens < 1) return false;
+                tokens -= 1;
+                return true;
+            }
         };
+    }
 
-        // Use beforeunload for immediate tracking
-        window.addEventListener('beforeunload', trackPageExit);
+    /**
+     * Built-in PII detectors used by the sanitization stage
+     */
+    const PII_PATTERNS = {
+        email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+        uuid: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        creditCard: /\b\d(?:[ -]?\d){12,18}\b/g,
+        // A leading +, an area code in brackets or separators between the groups; plain digit runs
+        // are order numbers, timestamps and IDs far more often than phone numbers
+        phone: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,3}|(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4})\b/g
+    };
 
-        // Use visibilitychange as backup
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') {
-                trackPageExit();
+    // Card-like digit runs are only redacted when they pass the Luhn checksum
+    function isLuhnValid(value) {
+        const digits = value.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
             }
-        });
-
-        this.log('Page exit tracking enabled');
+            sum += digit;
+        }
+        return sum % 10 === 0;
     }
 
-    // Public API Methods
-
     /**
-     * Manually track an event
+     * Options that can be set declaratively, from data-umami-<kebab-case-name> attributes on the
+     * auto-track element or from the JSON config block. Function-valued options (redactors, plugins)
+     * and custom transport objects need the JavaScript API.
      */
-    trackEvent(eventName, eventData = {}) {
-        this.track(eventName, eventData);
-    }
+    const CONFIG_SCHEMA = {
+        scrollDepthThresholds: { type: 'numberList', min: 0, max: 100, aliases: ['scroll-thresholds'] },
+        scrollDebounceMs: { type: 'integer', min: 0 },
+        scrollContainerSelector: { type: 'selector' },
+        scrollArticleSelector: { type: 'selector', nullable: true },
+        heartbeatInterval: { type: 'integer', min: 1000, aliases: ['heartbeat'] },
+        idleTimeout: { type: 'integer', min: 0 },
+        pauseOnBlur: { type: 'boolean' },
+        heartbeatOnlyOnChange: { type: 'boolean' },
+        autoTrackClicks: { type: 'boolean' },
+        autoTrackAllClicks: { type: 'boolean' },
+        clickSelector: { type: 'selector' },
+        clickPrecedence: { type: 'stringList', values: ['custom', 'searchResult', 'product', 'download', 'outbound', 'mailto', 'tel', 'navigation', 'button'] },
+        searchDebounceMs: { type: 'integer', min: 0 },
+        searchMinQueryLength: { type: 'integer', min: 1 },
+        searchMaxQueryLength: { type: 'integer', min: 1 },
+        currency: { type: 'string', nullable: true },
+        autoTrackProducts: { type: 'boolean' },
+        productSelector: { type: 'selector' },
+        internalDomains: { type: 'stringList' },
+        autoTrackDownloads: { type: 'boolean' },
+        downloadExtensions: { type: 'stringList' },
+        trackFrustration: { type: 'boolean' },
+        rageClickCount: { type: 'integer', min: 2 },
+        rageClickWindowMs: { type: 'integer', min: 0 },
+        rageClickRadius: { type: 'number', min: 0 },
+        deadClickTimeoutMs: { type: 'integer', min: 0 },
+        deadClickSelector: { type: 'selector' },
+        errorClickWindowMs: { type: 'integer', min: 0 },
+        trackErrors: { type: 'boolean' },
+        errorRateLimit: { type: 'integer', min: 0 },
+        maxErrorsPerPage: { type: 'integer', min: 0 },
+        errorStackLength: { type: 'integer', min: 0 },
+        errorIgnorePatterns: { type: 'stringList' },
+        trackPerformance: { type: 'boolean' },
+        visibilityThreshold: { type: 'number', min: 0, max: 1 },
+        visibilitySelector: { type: 'selector' },
+        visibilityRepeat: { type: 'boolean' },
+        visibilityDwell: { type: 'boolean' },
+        visibilityMinDwellMs: { type: 'integer', min: 0 },
+        formFieldEvents: { type: 'boolean' },
+        formAbandonment: { type: 'boolean' },
+        autoTrackMedia: { type: 'boolean' },
+        mediaSelector: { type: 'selector' },
+        mediaProgressThresholds: { type: 'numberList', min: 0, max: 100 },
+        mediaSeekDebounceMs: { type: 'integer', min: 0 },
+        trackRouteChanges: { type: 'boolean' },
+        hashRouting: { type: 'boolean' },
+        observeDomChanges: { type: 'boolean' },
+        mutationDebounceMs: { type: 'integer', min: 0 },
+        maxMutationNodes: { type: 'integer', min: 1 },
+        queueEvents: { type: 'boolean' },
+        queueStorage: { type: 'enum', values: ['localStorage', 'indexedDB', 'memory'] },
+        queueStorageKey: { type: 'string' },
+        queueMaxSize: { type: 'integer', min: 1 },
+        queueMaxAge: { type: 'integer', min: 0 },
+        queueRetryBaseMs: { type: 'integer', min: 0 },
+        queueRetryMaxMs: { type: 'integer', min: 0 },
+        transport: { type: 'enum', values: ['umami', 'beacon'] },
+        hostUrl: { type: 'string', nullable: true },
+        websiteId: { type: 'string', nullable: true },
+        requireConsent: { type: 'boolean' },
+        respectDoNotTrack: { type: 'boolean' },
+        queueUntilConsent: { type: 'boolean' },
+        scrubPII: { type: 'boolean' },
+        piiDetectors: { type: 'stringList', values: Object.keys(PII_PATTERNS) },
+        redactionText: { type: 'string' },
+        urlParamAllowlist: { type: 'stringList', nullable: true },
+        urlParamDenylist: { type: 'stringList' },
+        sampleRate: { type: 'number', min: 0, max: 1 },
+        eventSampleRates: { type: 'map', min: 0, max: 1 },
+        sampleStorageKey: { type: 'string' },
+        rateLimit: { type: 'integer', min: 0 },
+        eventRateLimits: { type: 'map', min: 0 },
+        maxEventsPerHourPerPage: { type: 'integer', min: 0, aliases: ['max-events-per-hour'] },
+        trackSession: { type: 'boolean' },
+        sessionStorageKey: { type: 'string' },
+        sessionTimeout: { type: 'integer', min: 0 },
+        sessionDataOnEvents: { type: 'boolean' },
+        funnelStorageKey: { type: 'string' },
+        schemaAction: { type: 'enum', values: ['send', 'drop', 'repair'] },
+        schemaDebugAction: { type: 'enum', values: ['warn', 'throw'] },
+        debug: { type: 'boolean' }
+    };
 
     /**
-     * Track form submissions
+     * Public methods that the JSON config block can call, e.g. "trackForm": [{ "selector": "#signup" }],
+     * with the extra keys each accepts for its options argument
      */
-    trackForm(formSelector, eventName = 'form-submit') {
-        document.querySelectorAll(formSelector).forEach(form => {
-            form.addEventListener('submit', (e) => {
-                const formData = new FormData(form);
-                const data = {
-                    formId: form.id || 'unnamed-form',
-                    fields: formData.keys ? Array.from(formData.keys()).length : 0
-                };
-                this.track(eventName, data);
-            });
-        });
+    const CONFIG_METHODS = {
+        trackForm: {},
+        trackDownloads: {},
+        trackSearch: {
+            searchAsYouType: { type: 'boolean' },
+            debounceMs: { type: 'integer', min: 0 },
+            resultSelector: { type: 'selector' },
+            buttonSelector: { type: 'selector' }
+        }
+    };
+
+    const CONFIG_TYPE_NAMES = {
+        boolean: 'true or false',
+        integer: 'an integer',
+        number: 'a number',
+        string: 'a string',
+        selector: 'a valid CSS selector',
+        numberList: 'a comma-separated list of numbers',
+        stringList: 'a comma-separated list',
+        map: 'a comma-separated list of name:number pairs'
+    };
+
+    function describeConfigRule(rule) {
+        let text = rule.type === 'enum' ? `one of ${rule.values.join(', ')}` : CONFIG_TYPE_NAMES[rule.type];
+        if (rule.type === 'stringList' && rule.values) text += ` of ${rule.values.join(', ')}`;
+        if (rule.min !== undefined && rule.max !== undefined) {
+            text += ` between ${rule.min} and ${rule.max}`;
+        } else if (rule.min !== undefined) {
+            text += ` of at least ${rule.min}`;
+        }
+        return text;
     }
 
-    /**
-     * Track file downloads
-     */
-    trackDownloads(selector = 'a[href*=".pdf"], a[href*=".zip"], a[href*=".doc"]') {
-        document.querySelectorAll(selector).forEach(link => {
-            link.addEventListener('click', () => {
-                const url = new URL(link.href, window.location.href);
-                const filename = url.pathname.split('/').pop();
-                const extension = filename.split('.').pop();
-
-                this.track('file-download', {
-                    filename,
-                    extension,
-                    url: link.href
-                });
-            });
-        });
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string' || !selector.trim()) return false;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    function isValidConfigValue(value, rule) {
+        if (value === null) return Boolean(rule.nullable);
+
+        const inRange = n => typeof n === 'number' && isFinite(n) &&
+            (rule.min === undefined || n >= rule.min) &&
+            (rule.max === undefined || n <= rule.max);
+
+        switch (rule.type) {
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'integer':
+                return Number.isInteger(value) && inRange(value);
+            case 'number':
+                return inRange(value);
+            case 'numberList':
+                return Array.isArray(value) && value.every(inRange);
+            case 'stringList':
+                return Array.isArray(value) &&
+                    value.every(item => typeof item === 'string' && (!rule.values || rule.values.includes(item)));
+            case 'map':
+                return typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(inRange);
+            case 'enum':
+                return rule.values.includes(value);
+            case 'selector':
+                return isValidSelector(value);
+            default:
+                return typeof value === 'string';
+        }
     }
 
     /**
-     * Track search queries (for internal search)
+     * Convert an attribute string to the option's type; invalid input is left for validation to reject
      */
-    trackSearch(searchInputSelector, eventName = 'internal-search') {
-        document.querySelectorAll(searchInputSelector).forEach(input => {
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && input.value.trim()) {
-                    this.track(eventName, {
-                        query: input.value.trim(),
-                        queryLength: input.value.trim().length
-                    });
-                }
-            });
-        });
+    function parseConfigAttribute(raw, rule) {
+        const value = raw.trim();
+        const toNumber = part => (part === undefined || part.trim() === '' ? NaN : Number(part));
+
+        switch (rule.type) {
+            case 'boolean':
+                if (value === '' || value === 'true') return true;
+                return value === 'false' ? false : value;
+            case 'integer':
+            case 'number':
+                return toNumber(value);
+            case 'numberList':
+                return value.split(',').map(toNumber);
+            case 'stringList':
+                return value.split(',').map(part => part.trim()).filter(Boolean);
+            case 'map':
+                return value.split(',').reduce((map, pair) => {
+                    const [name, amount] = pair.split(':');
+                    map[name.trim()] = toNumber(amount);
+                    return map;
+                }, {});
+            default:
+                return value;
+        }
     }
 
     /**
-     * Get current tracking stats
+     * Read options from the JSON config block, then from data attributes on the auto-track element
+     * (attributes win). Invalid values are reported in `errors` and left at their defaults.
      */
-    getStats() {
-        return {
-            timeOnPage: Math.round((Date.now() - this.state.startTime) / 1000),
-            scrollDepthsReached: this.state.scrollDepthTracked,
-            maxScrollDepth: Math.max(...this.state.scrollDepthTracked, 0),
-            isIdle: this.state.isIdle,
-            elementsViewed: this.state.visibleElements.size
+    function loadDeclarativeConfig(element, configBlock) {
+        const config = { options: {}, calls: [], errors: [] };
+
+        const setOption = (name, value, source, shown) => {
+            const rule = CONFIG_SCHEMA[name];
+            if (isValidConfigValue(value, rule)) {
+                config.options[name] = value;
+            } else {
+                config.errors.push(`${source}: expected ${describeConfigRule(rule)}, got ${shown}`);
+            }
+        };
+
+        const addCalls = (method, value) => {
+            if (value === false) return;
+
+            // trackDownloads: true uses the default download selector
+            const entries = method === 'trackDownloads' && value === true ? [{}] : [].concat(value);
+            entries.forEach(entry => {
+                const { selector, event, ...rest } = typeof entry === 'string' ? { selector: entry } : (entry || {});
+                const optionRules = CONFIG_METHODS[method];
+                const valid = entry && typeof entry === 'object' || typeof entry === 'string';
+                const validBinding = valid &&
+                    (selector === undefined ? method === 'trackDownloads' : isValidSelector(selector)) &&
+                    (event === undefined || (typeof event === 'string' && method !== 'trackDownloads'));
+
+                if (!validBinding) {
+                    config.errors.push(`config block "${method}": expected a selector or { selector, event }, got ${JSON.stringify(entry)}`);
+                    return;
+                }
+
+                const options = {};
+                Object.keys(rest).forEach(key => {
+                    const rule = optionRules[key];
+                    if (!rule) {
+                        config.errors.push(`config block "${method}": unknown key "${key}"`);
+                    } else if (!isValidConfigValue(rest[key], rule)) {
+                        config.errors.push(`config block "${method}" ${key}: expected ${describeConfigRule(rule)}, got ${JSON.stringify(rest[key])}`);
+                    } else {
+                        options[key] = rest[key];
+                    }
+                });
+                config.calls.push({ method, selector, event, options });
+            });
         };
+
+        if (configBlock) {
+            let json = null;
+            try {
+                json = JSON.parse(configBlock.textContent);
+            } catch (error) {
+                config.errors.push(`config block: invalid JSON (${error.message})`);
+            }
+
+            if (json !== null && (typeof json !== 'object' || Array.isArray(json))) {
+                config.errors.push('config block: expected a JSON object');
+            } else if (json) {
+                Object.keys(json).forEach(key => {
+                    if (CONFIG_METHODS[key]) {
+                        addCalls(key, json[key]);
+                    } else if (CONFIG_SCHEMA[key]) {
+                        setOption(key, json[key], `config block "${key}"`, JSON.stringify(json[key]));
+                    } else {
+                        config.errors.push(`config block: unknown option "${key}"`);
+                    }
+                });
+            }
+        }
+
+        if (element) {
+            Object.keys(CONFIG_SCHEMA).forEach(name => {
+                const rule = CONFIG_SCHEMA[name];
+                const kebabName = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+                [kebabName, ...(rule.aliases || [])].forEach(suffix => {
+                    const attribute = `data-umami-${suffix}`;
+                    if (!element.hasAttribute(attribute)) return;
+
+                    const raw = element.getAttribute(attribute);
+                    setOption(name, parseConfigAttribute(raw, rule), attribute, `"${raw}"`);
+                });
+            });
+        }
+
+        return config;
     }
 
     /**
-     * Cleanup and destroy tracker
+     * CSS-like path to an element, anchored at the nearest ancestor with an id
      */
-    destroy() {
-        if (this.state.heartbeatTimer) {
-            clearInterval(this.state.heartbeatTimer);
+    function getDomPath(element) {
+        const parts = [];
+        let node = element;
+
+        while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+            if (node.id) {
+                parts.unshift(`#${node.id}`);
+                break;
+            }
+
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const sameTag = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+                if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+            }
+            parts.unshift(part);
+            node = parent;
         }
-        this.log('UmamiTracker destroyed');
+
+        return parts.join(' > ');
     }
-}
 
-// Auto-initialize if data-umami-auto-track attribute is present
-const autoTrackElement = document.querySelector('[data-umami-auto-track]');
-if (autoTrackElement) {
-    const options = {};
+    class UmamiTracker {
+        constructor(options = {}) {
+            this.options = {
+                // Scroll tracking options
+                scrollDepthThresholds: [25, 50, 75, 90],
+                scrollDebounceMs: 100,
+                scrollContainerSelector: '[data-umami-scroll-container]', // Elements with their own scroll depth
+                scrollArticleSelector: null, // e.g. 'article' to measure reading progress through the content
 
-    // Parse configuration from data attributes
-    if (autoTrackElement.dataset.umamiAutoTrackAllClicks === 'true') {
-        options.autoTrackAllClicks = true;
-    }
-    if (autoTrackElement.dataset.umamiDebug === 'true') {
-        options.debug = true;
-    }
-    if (autoTrackElement.dataset.umamiScrollThresholds) {
-        options.scrollDepthThresholds = autoTrackElement.dataset.umamiScrollThresholds
-            .split(',').map(n => parseInt(n.trim()));
-    }
-    if (autoTrackElement.dataset.umamiHeartbeat) {
-        options.heartbeatInterval = parseInt(autoTrackElement.dataset.umamiHeartbeat);
-    }
+                // Time tracking options
+                heartbeatInterval: 30000, // 30 seconds
+                idleTimeout: 60000, // 1 minute
+                pauseOnBlur: true, // Stop counting engaged time while the window is not focused
+                heartbeatOnlyOnChange: false, // Skip heartbeats when engaged time has not increased
+
+                // Click tracking options
+                autoTrackClicks: true,
+                autoTrackAllClicks: false, // Track ALL clicks, not just data-umami-track elements
+                clickSelector: '[data-umami-track]',
+                // When a click matches several types, only the first tracked one is sent;
+                // navigation and button clicks are only tracked with autoTrackAllClicks
+                clickPrecedence: ['custom', 'searchResult', 'product', 'download', 'outbound', 'mailto', 'tel', 'navigation', 'button'],
+
+                // Search options (see trackSearch)
+                searchDebounceMs: 1000, // Search-as-you-type queries are reported once typing settles this long
+                searchMinQueryLength: 2, // Shorter search-as-you-type queries are not reported
+                searchMaxQueryLength: 100, // Longer queries are truncated
+
+                // Ecommerce options (see viewItem, addToCart, ...)
+                currency: null, // Default ISO 4217 code, e.g. 'EUR', for payloads without one
+                autoTrackProducts: true, // Impressions and clicks for product cards with data-umami-product-* attributes
+                productSelector: '[data-umami-product-id]',
+
+                // Link classification options
+                internalDomains: [], // Hosts that are not outbound besides the current one; '*.example.com' covers subdomains
+                autoTrackDownloads: true, // Treat links with a download attribute or a downloadExtensions file as downloads
+                downloadExtensions: ['pdf', 'zip', 'gz', 'tgz', 'rar', '7z', 'dmg', 'exe', 'msi', 'pkg', 'deb', 'rpm', 'apk',
+                    'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'csv', 'txt', 'rtf', 'epub',
+                    'mp3', 'wav', 'mp4', 'mov', 'avi'],
+
+                // Frustration signal options
+                trackFrustration: true, // Detect rage, dead and error clicks
+                rageClickCount: 3, // Clicks on the same element...
+                rageClickWindowMs: 1000, // ...within this time...
+                rageClickRadius: 30, // ...and this many pixels of each other
+                deadClickTimeoutMs: 1000, // No DOM change, navigation or request within this time
+                deadClickSelector: 'a[href], button, [role="button"], input[type="submit"], input[type="button"], [data-umami-track]',
+                errorClickWindowMs: 1000, // Errors this soon after a click are attributed to it
+
+                // Error tracking options
+                trackErrors: false, // Report JavaScript errors, failed resources and unhandled rejections
+                errorRateLimit: 10, // Maximum js-error events per minute
+                maxErrorsPerPage: 25, // Maximum js-error events per page load
+                errorStackLength: 500, // Truncate stacks to this many characters
+                errorIgnorePatterns: [], // Strings or RegExps matched against the message, e.g. /ResizeObserver loop/
+
+                // Performance options
+                trackPerformance: false, // Report Core Web Vitals and navigation timing once per page view
+
+                // Visibility tracking options
+                visibilityThreshold: 0.5, // 50% visible; data-umami-visible-thresholds="25,50,100" sets several per element
+                visibilitySelector: '[data-umami-visible]',
+                visibilityRepeat: false, // Report again each time an element comes back into view
+                visibilityDwell: true, // Send element-dwell with the time each element spent in view
+                visibilityMinDwellMs: 1000, // Skip dwell reports shorter than this
+
+                // Form tracking options (see trackForm)
+                formFieldEvents: true, // Send form-field-focus/form-field-blur for fields in tracked forms
+                formAbandonment: true, // Send form-abandon for started but unsubmitted forms on exit or route change
+
+                // Media tracking options
+                autoTrackMedia: true,
+                mediaSelector: '[data-umami-media]',
+                mediaProgressThresholds: [25, 50, 75, 90],
+                mediaSeekDebounceMs: 500, // Report a scrub through the timeline as one seek
+
+                // SPA navigation options
+                trackRouteChanges: true, // Reset per-page tracking on pushState/replaceState/popstate
+                hashRouting: false, // Treat hash-only URL changes as route changes
+
+                // Dynamic DOM options
+                observeDomChanges: true, // Attach tracking to elements added after init
+                mutationDebounceMs: 50, // Batch DOM mutations before processing
+                maxMutationNodes: 500, // Above this many added nodes per batch, rescan once instead
+
+                // Offline queue options
+                queueEvents: true, // Buffer events while Umami is unavailable
+                queueStorage: 'localStorage', // 'localStorage', 'indexedDB' or 'memory'
+                queueStorageKey: 'umami-kit-queue',
+                queueMaxSize: 100, // Oldest events are dropped beyond this
+                queueMaxAge: 24 * 60 * 60 * 1000, // Discard queued events older than 1 day
+                queueRetryBaseMs: 1000, // First retry delay, doubled on each failure
+                queueRetryMaxMs: 60000,
+
+                // Transport options
+                transport: 'umami', // 'umami' (window.umami.track), 'beacon' (POST to /api/send) or a custom transport object
+                hostUrl: null, // Umami host for the beacon transport; defaults to the Umami script's origin
+                websiteId: null, // Website id for the beacon transport; defaults to the Umami script's data-website-id
+
+                // Consent options
+                requireConsent: false, // Collect nothing until grantConsent() is called
+                respectDoNotTrack: true, // Honour navigator.doNotTrack and Global Privacy Control
+                queueUntilConsent: false, // Hold events until a consent decision instead of discarding them
+
+                // Privacy options
+                scrubPII: true, // Redact personal data from event data before sending
+                piiDetectors: ['email', 'creditCard', 'uuid', 'phone'],
+                redactionText: '[redacted]',
+                urlParamAllowlist: null, // When set, only these query params are kept in URLs
+                urlParamDenylist: ['token', 'access_token', 'auth', 'key', 'api_key', 'password', 'secret', 'session', 'sid', 'code', 'email'],
+                redactors: [], // Custom (value, { key, event }) => value functions; return undefined to drop the key
+
+                // Volume control options
+                sampleRate: 1, // Share of sessions (0-1) whose events are sent
+                eventSampleRates: {}, // Per-event overrides, e.g. { 'time-on-page': 0.1 } for heartbeats
+                sampleStorageKey: 'umami-kit-sample', // sessionStorage key holding the session's sampling value
+                rateLimit: 0, // Maximum events per minute across all events (token bucket); 0 disables
+                eventRateLimits: {}, // Per-event limits in events per minute, e.g. { click: 20 }
+                maxEventsPerHourPerPage: 0, // Maximum events per page path per hour; 0 disables
+
+                // Session options
+                trackSession: true, // Keep a cookieless session (entry page, referrer, UTM, page count) in sessionStorage
+                sessionStorageKey: 'umami-kit-session',
+                sessionTimeout: 30 * 60 * 1000, // Start a new session after 30 minutes without activity
+                sessionDataOnEvents: false, // Attach session data to every event, not just page-exit
+
+                // Funnel options (see defineFunnel)
+                funnelStorageKey: 'umami-kit-funnels', // localStorage key for funnel progress
+
+                // Event schema options (see defineEventSchema)
+                eventSchemas: {}, // Schemas registered at construction, keyed by event name
+                schemaAction: 'send', // Events that break their schema: 'send' as they are, 'drop' or 'repair'
+                schemaDebugAction: 'warn', // In debug mode, 'warn' or 'throw' on a violation before schemaAction applies
+
+                // Plugins registered before tracking starts (see use())
+                plugins: [],
+
+                // General options
+                debug: false,
+                ...options
+            };
+
+            const now = Date.now();
+            this.state = {
+                scrollDepthTracked: [],
+                startTime: now,
+                lastActivity: now,
+                heartbeatTimer: null,
+                isIdle: false,
+                isHidden: document.visibilityState === 'hidden',
+                isBlurred: false,
+                engagedMs: 0,
+                engagedSince: null,
+                lastHeartbeatActiveSeconds: null,
+                visibleElements: new Set(),
+                currentUrl: window.location.href
+            };
+
+            this.frustration = { clicks: [], lastClick: null, deadClickCheck: null };
+            this.errors = { seen: new Set(), reportedAt: [], total: 0 };
+            this.performanceMetrics = null;
+            this.session = null;
+            this.downloadSelectors = [];
+            this.searches = [];
+            this.lastSearch = null; // { query, resultCount } of the latest reported search, for result clicks
+            this.funnels = new Map();
+            this.funnelProgress = null; // Loaded on first defineFunnel()
+            this.volume = { sampleValue: null, buckets: new Map(), pageCounts: new Map(), dropped: 0 };
+            this.eventSchemas = new Map();
+            this.schemaViolations = 0;
+            this.scrollElements = new Map();
+            this.formStates = new Map();
+            this.mediaStates = new Map();
+            this.visibilityStates = new Map();
+            this.visibilityObservers = new Map(); // One IntersectionObserver per threshold set
+            this.visibilityBinding = null;
+            this.mutationObserver = null;
+            this.elementBindings = [];
+            this.pendingMutations = { added: new Set(), removed: false, overflow: false, scheduled: false };
+            this.consent = this.getInitialConsent();
+            this.consentQueue = [];
+            this.transport = this.createTransport();
+            this.queue = [];
+            this.queueStorage = null;
+            this.queueRetry = { attempt: 0, cancel: null };
+            this.plugins = [];
+            this.initialized = false;
+            this.cleanups = new Set();
+            this.destroyed = false;
+
+            Object.keys(this.options.eventSchemas).forEach(name => this.defineEventSchema(name, this.options.eventSchemas[name]));
+            this.options.plugins.forEach(plugin => this.use(plugin));
+            this.init();
+        }
+
+        init() {
+            const setup = () => {
+                this.log('UmamiTracker initialized');
+                this.setupSessionTracking();
+                this.setupErrorTracking();
+                this.setupPerformanceTracking();
+                this.setupScrollTracking();
+                this.setupElementScrollTracking();
+                this.setupTimeTracking();
+                this.setupClickTracking();
+                this.setupFrustrationTracking();
+                this.setupVisibilityTracking();
+                this.setupMediaTracking();
+                this.setupIdleTracking();
+                this.setupPageExitTracking();
+                this.setupNavigationTracking();
+                this.initialized = true;
+                this.plugins.forEach(plugin => this.setupPlugin(plugin));
+            };
+
+            // With a queue there is no need to wait: events are buffered until Umami loads
+            if (this.options.queueEvents) {
+                this.setupQueue();
+                setup();
+                this.waitForUmami(() => this.flushQueue());
+            } else {
+                this.waitForUmami(setup);
+            }
+        }
+
+        waitForUmami(callback, attempts = 0, maxAttempts = 50) {
+            if (this.destroyed) return;
+
+            if (this.isTransportReady()) {
+                callback();
+            } else if (attempts < maxAttempts) {
+                this.addTimeout(() => this.waitForUmami(callback, attempts + 1, maxAttempts), 100);
+            } else if (this.options.queueEvents) {
+                console.warn('UmamiTracker: Umami not found after waiting, events will stay queued');
+            } else {
+                console.warn('UmamiTracker: Umami not found after waiting');
+            }
+        }
+
+        log(...args) {
+            if (this.options.debug) {
+                console.log('[UmamiTracker]', ...args);
+            }
+        }
+
+        track(event, data = {}, category = null) {
+            if (this.destroyed) return;
+
+            // Event data is always a plain object, e.g. trackEvent('x', null) sends {}
+            let tracked = this.runBeforeTrack({ name: event, data: toEventData(data), category });
+            if (tracked) tracked = this.applyEventSchema({ ...tracked, data: toEventData(tracked.data) });
+            // Only events that are actually sent can move a funnel on
+            if (tracked && this.deliver(tracked)) {
+                this.advanceFunnels({ event: tracked.name });
+            }
+        }
+
+        /**
+         * Send or queue an event that passed the plugins; returns whether it was
+         */
+        deliver({ name, data, category }) {
+            const consent = this.getConsentStatus(category);
+            if (consent === 'pending' && this.options.queueUntilConsent) {
+                this.holdForConsent(name, data, category);
+                return false;
+            }
+            if (consent !== 'granted') {
+                this.log(`No consent (${category || 'custom'}), event not tracked:`, name);
+                return false;
+            }
+            if (!this.allowVolume(name)) {
+                this.volume.dropped++;
+                return false;
+            }
+            if (this.options.sessionDataOnEvents && this.session) {
+                data = { ...this.getSessionData(), ...data };
+            }
+
+            const item = {
+                event: name,
+                data: this.sanitizeData(name, data),
+                url: this.sanitizeUrl(window.location.href),
+                timestamp: Date.now()
+            };
+
+            // Queued events go first so delivery order is preserved
+            let sent = false;
+            if (this.isTransportReady() && !this.queue.length) {
+                try {
+                    this.send(item);
+                    sent = true;
+                } catch (error) {
+                    this.log('Failed to send event:', name, error);
+                }
+            }
+
+            if (!sent) {
+                if (!this.options.queueEvents) {
+                    this.log('Umami not available, event not tracked:', name, data);
+                    return false;
+                }
+                this.enqueue(item);
+                this.flushQueue();
+            }
+
+            this.runPluginHook('afterTrack', { name, data: item.data, category, url: item.url, timestamp: item.timestamp });
+            return true;
+        }
 
-    window.umamiTracker = new UmamiTracker(options);
-}
+        // Sampling and Rate Limiting
 
-// Export for module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = UmamiTracker;
-}
+        /**
+         * One random value per session: an event is sampled in when the value is below its rate,
+         * so sessions kept at a low rate are also kept at every higher rate and funnels stay coherent.
+         */
+        getSampleValue() {
+            if (this.volume.sampleValue !== null) return this.volume.sampleValue;
 
-// AMD support
-if (typeof define === 'function' && define.amd) {
-    define([], function () {
-        return UmamiTracker;
-    });
-}
+            const key = this.options.sampleStorageKey;
+            let value = NaN;
+            try {
+                value = parseFloat(window.sessionStorage.getItem(key));
+                if (!(value >= 0 && value < 1)) {
+                    value = Math.random();
+                    window.sessionStorage.setItem(key, String(value));
+                }
+            } catch {
+                value = Math.random();
+            }
+
+            this.volume.sampleValue = value;
+            return value;
+        }
+
+        isSampled(event) {
+            const rates = this.options.eventSampleRates;
+            const rate = Object.prototype.hasOwnProperty.call(rates, event) ? rates[event] : this.options.sampleRate;
+            if (rate >= 1) return true;
+            return this.getSampleValue() < rate;
+        }
+
+        takeToken(key, limitPerMinute) {
+            if (!limitPerMinute) return true;
+
+            if (!this.volume.buckets.has(key)) {
+                this.volume.buckets.set(key, createTokenBucket(limitPerMinute));
+            }
+            return this.volume.buckets.get(key).take();
+        }
+
+        allowVolume(event) {
+            if (!this.isSampled(event)) {
+                this.log('Event sampled out:', event);
+                return false;
+            }
+            if (!this.takeToken(`event:${event}`, this.options.eventRateLimits[event]) ||
+                !this.takeToken('global', this.options.rateLimit)) {
+                this.log('Rate limit reached, event not tracked:', event);
+                return false;
+            }
+
+            const cap = this.options.maxEventsPerHourPerPage;
+            if (cap) {
+                const path = this.getRoutePath(window.location.href);
+                const now = Date.now();
+                let count = this.volume.pageCounts.get(path);
+                if (!count || now - count.since >= 60 * 60 * 1000) {
+                    count = { since: now, events: 0 };
+                    this.volume.pageCounts.set(path, count);
+                }
+                if (count.events >= cap) {
+                    this.log('Hourly page cap reached, event not tracked:', event);
+                    return false;
+                }
+                count.events++;
+            }
+
+            return true;
+        }
+
+        // Event Schemas
+
+        /**
+         * Check an event against its registered schema. Debug mode warns, or throws with
+         * schemaDebugAction: 'throw'; schemaAction then sends, drops or repairs the event.
+         */
+        applyEventSchema(event) {
+            const schema = this.eventSchemas.get(event.name);
+            if (!schema) return event;
+
+            const data = event.data && typeof event.data === 'object' ? event.data : {};
+            const violations = getSchemaViolations(data, schema);
+            if (!violations.length) return event;
+
+            this.schemaViolations++;
+            const message = `UmamiTracker: "${event.name}" does not match its schema: ${violations.join('; ')}`;
+            if (this.options.debug) {
+                if (this.options.schemaDebugAction === 'throw') throw new Error(message);
+                console.warn(message);
+            }
+
+            if (this.options.schemaAction === 'drop') {
+                this.log('Event dropped by its schema:', event.name);
+                return null;
+            }
+            if (this.options.schemaAction === 'repair') {
+                const repaired = repairEventData(data, schema);
+                if (!repaired) {
+                    this.log('Event could not be repaired, not tracked:', event.name);
+                    return null;
+                }
+                return { ...event, data: repaired };
+            }
+            return event;
+        }
+
+        // Plugins
+
+        /**
+         * Register a plugin. Plugins are objects with an optional name and any of these hooks:
+         * setup(tracker), onInit(tracker), beforeTrack(event, tracker), afterTrack(event, tracker), onDestroy(tracker)
+         */
+        use(plugin) {
+            if (this.destroyed || !plugin || typeof plugin !== 'object') return this;
+
+            if (plugin.name && this.plugins.some(p => p.name === plugin.name)) {
+                this.log(`Plugin "${plugin.name}" is already registered`);
+                return this;
+            }
+
+            this.plugins.push(plugin);
+            this.log('Plugin registered:', plugin.name || 'anonymous');
+
+            // Plugins added after tracking started are set up straight away
+            if (this.initialized) {
+                this.setupPlugin(plugin);
+            }
+            return this;
+        }
+
+        setupPlugin(plugin) {
+            this.callPlugin(plugin, 'setup', this);
+            this.callPlugin(plugin, 'onInit', this);
+        }
+
+        callPlugin(plugin, hook, ...args) {
+            if (typeof plugin[hook] !== 'function') return undefined;
+
+            try {
+                return plugin[hook](...args);
+            } catch (error) {
+                console.warn(`UmamiTracker: plugin "${plugin.name || 'anonymous'}" failed in ${hook}`, error);
+                return undefined;
+            }
+        }
+
+        runPluginHook(hook, ...args) {
+            this.plugins.forEach(plugin => this.callPlugin(plugin, hook, ...args, this));
+        }
+
+        /**
+         * Pass an event through each plugin's beforeTrack hook. A hook may change
+         * event.name or event.data, return a replacement event, or return false to cancel.
+         */
+        runBeforeTrack(event) {
+            let current = event;
+
+            for (const plugin of this.plugins) {
+                const result = this.callPlugin(plugin, 'beforeTrack', current, this);
+                if (result === false) {
+                    this.log(`Event cancelled by plugin "${plugin.name || 'anonymous'}":`, current.name);
+                    return null;
+                }
+                if (result && typeof result === 'object') {
+                    current = { ...current, ...result };
+                }
+            }
+
+            return current;
+        }
+
+        // Consent Management
+        getInitialConsent() {
+            if (this.options.respectDoNotTrack && this.hasPrivacySignal()) {
+                return { status: 'denied', categories: new Set(), locked: true };
+            }
+            if (this.options.requireConsent) {
+                return { status: 'pending', categories: new Set(), locked: false };
+            }
+            return { status: 'granted', categories: new Set(CONSENT_CATEGORIES), locked: false };
+        }
+
+        hasPrivacySignal() {
+            const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+            return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+        }
+
+        getConsentStatus(category) {
+            const { status, categories } = this.consent;
+            if (status !== 'granted') return status;
+            return categories.has(category || 'custom') ? 'granted' : 'denied';
+        }
+
+        holdForConsent(event, data, category) {
+            this.consentQueue.push({ event, data, category });
+            if (this.consentQueue.length > this.options.queueMaxSize) {
+                this.consentQueue.shift();
+            }
+            this.log('Event held until consent decision:', event);
+        }
+
+        /**
+         * Grant consent for all categories, or only for the given ones
+         */
+        grantConsent(categories = CONSENT_CATEGORIES) {
+            if (this.consent.locked) {
+                this.log('Do Not Track / Global Privacy Control is enabled, consent not granted');
+                return;
+            }
+
+            const granted = (Array.isArray(categories) ? categories : [categories])
+                .filter(category => CONSENT_CATEGORIES.includes(category));
+            if (!granted.length) {
+                this.log('No known consent categories to grant:', categories);
+                return;
+            }
+            granted.forEach(category => this.consent.categories.add(category));
+            this.consent.status = 'granted';
+            this.log('Consent granted:', granted);
+
+            if (this.initialized && !this.destroyed) this.setupSessionTracking();
+            if (granted.includes('funnels') && !this.destroyed) {
+                this.funnels.forEach(funnel => this.startFunnel(funnel));
+            }
+
+            // Replay held events now that a decision has been made
+            const held = this.consentQueue;
+            this.consentQueue = [];
+            held.forEach(({ event, data, category }) => this.deliver({ name: event, data, category }));
+        }
+
+        /**
+         * Revoke consent for all categories, or only for the given ones.
+         * Revoking everything also discards queued events.
+         */
+        revokeConsent(categories = null) {
+            if (categories) {
+                const revoked = Array.isArray(categories) ? categories : [categories];
+                revoked.forEach(category => this.consent.categories.delete(category));
+                this.consentQueue = this.consentQueue.filter(item => !revoked.includes(item.category));
+                // Nothing left granted is the same as revoking everything
+                if (!this.consent.categories.size) {
+                    this.revokeConsent();
+                    return;
+                }
+                if (revoked.includes('funnels')) this.clearFunnelProgress();
+                if (revoked.includes('time')) this.clearSession();
+                this.log('Consent revoked:', revoked);
+                return;
+            }
+
+            this.consent.status = 'denied';
+            this.consent.categories.clear();
+            this.consentQueue = [];
+            this.queue = [];
+            this.persistQueue();
+            this.clearSession();
+            this.clearFunnelProgress();
+            this.log('Consent revoked, queued events, session and funnel progress discarded');
+        }
+
+        /**
+         * Whether a category may be collected; without one, whether custom events may be sent
+         */
+        hasConsent(category = null) {
+            return this.getConsentStatus(category) === 'granted';
+        }
+
+        // PII Scrubbing
+        sanitizeData(event, data, path = '') {
+            if (!this.options.scrubPII && !this.options.redactors.length) return data;
+
+            const clean = Array.isArray(data) ? [] : {};
+            Object.keys(data).forEach(key => {
+                const value = data[key];
+                const keyPath = path ? `${path}.${key}` : key;
+                let result = value;
+
+                if (value && typeof value === 'object') {
+                    result = this.sanitizeData(event, value, keyPath);
+                } else if (typeof value === 'string') {
+                    result = this.sanitizeValue(event, key, value);
+                }
+
+                if (result !== undefined) {
+                    clean[key] = result;
+                }
+            });
+            return clean;
+        }
+
+        sanitizeValue(event, key, value) {
+            let result = value;
+
+            if (this.options.scrubPII) {
+                if (/^https?:\/\//i.test(result) || ['url', 'href', 'path', 'referrer'].includes(key)) {
+                    result = this.sanitizeUrl(result);
+                }
+
+                const detectors = isEcommerceIdentifier(event, key) ? [] : this.options.piiDetectors;
+                detectors.forEach(name => {
+                    const pattern = PII_PATTERNS[name];
+                    if (!pattern) return;
+                    result = result.replace(pattern, match => {
+                        if (name === 'creditCard' && !isLuhnValid(match)) return match;
+                        return this.options.redactionText;
+                    });
+                });
+            }
+
+            this.options.redactors.forEach(redactor => {
+                if (result !== undefined) {
+                    result = redactor(result, { key, event });
+                }
+            });
+
+            return result;
+        }
+
+        /**
+         * Remove query params from a URL according to the allow/deny lists
+         */
+        sanitizeUrl(value) {
+            if (!this.options.scrubPII) return value;
+
+            let url;
+            try {
+                url = new URL(value, window.location.origin);
+            } catch {
+                return value;
+            }
+
+            const { urlParamAllowlist, urlParamDenylist } = this.options;
+            const allow = urlParamAllowlist && urlParamAllowlist.map(param => param.toLowerCase());
+            const deny = (urlParamDenylist || []).map(param => param.toLowerCase());
+
+            let changed = false;
+            Array.from(new Set(url.searchParams.keys())).forEach(param => {
+                const name = param.toLowerCase();
+                if (allow ? !allow.includes(name) : deny.includes(name)) {
+                    url.searchParams.delete(param);
+                    changed = true;
+                }
+            });
+            if (!changed) return value;
+
+            const isAbsolute = /^[a-z][a-z\d+.-]*:/i.test(value);
+            return isAbsolute ? url.href : url.pathname + url.search + url.hash;
+        }
+
+        // Transport
+        createTransport() {
+            const { transport } = this.options;
+
+            if (transport && typeof transport === 'object') return transport;
+            if (transport === 'beacon') return createBeaconTransport(this.options);
+            if (transport !== 'umami') {
+                this.log(`Unknown transport "${transport}", falling back to umami`);
+            }
+            return createUmamiTransport();
+        }
+
+        isTransportReady() {
+            try {
+                return !!this.transport.isReady();
+            } catch {
+                return false;
+            }
+        }
+
+        send(item) {
+            const result = this.transport.send(item);
+            this.log('Event tracked:', item.event, item.data);
+
+            // Asynchronous transports report failures later; put the event back in the queue
+            if (result && typeof result.then === 'function') {
+                result.catch(error => this.requeue(item, error));
+            }
+        }
+
+        requeue(item, error) {
+            this.log('Failed to deliver event:', item.event, error);
+            if (this.destroyed || !this.options.queueEvents) return;
+
+            this.queue.unshift(item);
+            this.pruneQueue();
+            this.persistQueue();
+            if (!this.queueRetry.cancel) {
+                this.scheduleQueueRetry();
+            }
+        }
+
+        // Offline Event Queue
+        setupQueue() {
+            this.queueStorage = createQueueStorage(this.options.queueStorage, this.options.queueStorageKey);
+            if (!this.queueStorage) {
+                this.log('Queue persistence unavailable, queued events are kept in memory only');
+                return;
+            }
+
+            this.queueStorage.load(items => {
+                if (this.destroyed || !items.length) return;
+
+                if (this.consent.status === 'denied') {
+                    this.persistQueue();
+                    return;
+                }
+
+                // Persisted events are older than anything queued since this page loaded
+                this.queue = items.concat(this.queue);
+                this.pruneQueue();
+                this.log(`Restored ${items.length} queued events`);
+                this.flushQueue();
+            });
+        }
+
+        enqueue(item) {
+            this.queue.push(item);
+            this.pruneQueue();
+            this.persistQueue();
+            this.log('Event queued:', item.event, item.data);
+        }
+
+        pruneQueue() {
+            const cutoff = Date.now() - this.options.queueMaxAge;
+            this.queue = this.queue.filter(item => item.timestamp >= cutoff);
+
+            const overflow = this.queue.length - this.options.queueMaxSize;
+            if (overflow > 0) {
+                this.queue.splice(0, overflow);
+                this.log(`Queue full, dropped ${overflow} oldest events`);
+            }
+        }
+
+        persistQueue() {
+            if (this.queueStorage) {
+                this.queueStorage.save(this.queue);
+            }
+        }
+
+        flushQueue() {
+            if (this.destroyed || !this.queue.length) return;
+
+            if (this.queueRetry.cancel) {
+                this.queueRetry.cancel();
+                this.queueRetry.cancel = null;
+            }
+
+            if (!this.isTransportReady()) {
+                this.scheduleQueueRetry();
+                return;
+            }
+
+            this.pruneQueue();
+            while (this.queue.length) {
+                const item = this.queue[0];
+                try {
+                    this.send(item);
+                } catch (error) {
+                    this.log('Failed to flush queued event:', item.event, error);
+                    this.persistQueue();
+                    this.scheduleQueueRetry();
+                    return;
+                }
+                this.queue.shift();
+            }
+
+            this.queueRetry.attempt = 0;
+            this.persistQueue();
+            this.log('Event queue flushed');
+        }
+
+        scheduleQueueRetry() {
+            const { queueRetryBaseMs, queueRetryMaxMs } = this.options;
+            const delay = Math.min(queueRetryBaseMs * Math.pow(2, this.queueRetry.attempt), queueRetryMaxMs);
+
+            this.queueRetry.attempt++;
+            this.queueRetry.cancel = this.addTimeout(() => {
+                this.queueRetry.cancel = null;
+                this.flushQueue();
+            }, delay);
+        }
+
+        // Resource Registry
+        // Everything registered here is released by destroy(). Each add* method
+        // returns a function that releases that single resource early.
+
+        addCleanup(cleanup) {
+            if (this.destroyed) {
+                cleanup();
+                return () => {};
+            }
+
+            const release = () => {
+                if (this.cleanups.delete(release)) {
+                    cleanup();
+                }
+            };
+            this.cleanups.add(release);
+            return release;
+        }
+
+        addListener(target, type, handler, options) {
+            if (this.destroyed) return () => {};
+
+            target.addEventListener(type, handler, options);
+            return this.addCleanup(() => target.removeEventListener(type, handler, options));
+        }
+
+        addInterval(callback, delay) {
+            if (this.destroyed) return () => {};
+
+            const id = setInterval(callback, delay);
+            return this.addCleanup(() => clearInterval(id));
+        }
+
+        addTimeout(callback, delay) {
+            if (this.destroyed) return () => {};
+
+            let release = null;
+            const id = setTimeout(() => {
+                release();
+                callback();
+            }, delay);
+            release = this.addCleanup(() => clearTimeout(id));
+            return release;
+        }
+
+        addObserver(observer) {
+            return this.addCleanup(() => observer.disconnect());
+        }
+
+        // Scroll Depth Tracking
+        setupScrollTracking() {
+            let cancelPending = () => {};
+
+            const handleScroll = () => {
+                cancelPending();
+                cancelPending = this.addTimeout(() => {
+                    this.checkScrollDepth();
+                }, this.options.scrollDebounceMs);
+            };
+
+            this.addListener(window, 'scroll', handleScroll, { passive: true });
+            this.log('Scroll tracking enabled');
+        }
+
+        checkScrollDepth() {
+            const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+            const scrollPercent = Math.round((window.scrollY / scrollHeight) * 100);
+
+            this.options.scrollDepthThresholds.forEach(threshold => {
+                if (scrollPercent >= threshold && !this.state.scrollDepthTracked.includes(threshold)) {
+                    this.track('scroll-depth', {
+                        depth: threshold,
+                        percentage: `${threshold}%`,
+                        pixels: window.scrollY
+                    }, 'scroll');
+                    this.state.scrollDepthTracked.push(threshold);
+                    this.log(`Scroll depth tracked: ${threshold}%`);
+                }
+            });
+        }
+
+        // Element Scroll Depth Tracking
+        // Scroll containers report how far their own content is scrolled; other
+        // elements (e.g. an article body) report how far the viewport has moved through them.
+
+        setupElementScrollTracking() {
+            const selector = [this.options.scrollContainerSelector, this.options.scrollArticleSelector]
+                .filter(Boolean).join(', ');
+            if (!selector) return;
+
+            this.bindElements(selector, el => this.attachElementScrollTracking(el));
+
+            // Content-mode elements move with the page, so they are measured on window scroll
+            let cancelPending = () => {};
+            this.addListener(window, 'scroll', () => {
+                cancelPending();
+                cancelPending = this.addTimeout(() => {
+                    this.scrollElements.forEach((scrollState, el) => {
+                        if (!this.isScrollContainer(el)) this.checkElementScrollDepth(el);
+                    });
+                }, this.options.scrollDebounceMs);
+            }, { passive: true });
+
+            this.log('Element scroll tracking enabled');
+        }
+
+        attachElementScrollTracking(el) {
+            const thresholds = this.parseThresholds(el.dataset.umamiScrollThresholds) ||
+                this.options.scrollDepthThresholds;
+            this.scrollElements.set(el, { thresholds, tracked: [] });
+
+            let cancelPending = () => {};
+            const release = this.addListener(el, 'scroll', () => {
+                cancelPending();
+                cancelPending = this.addTimeout(() => this.checkElementScrollDepth(el), this.options.scrollDebounceMs);
+            }, { passive: true });
+
+            return () => {
+                cancelPending();
+                release();
+                this.scrollElements.delete(el);
+            };
+        }
+
+        parseThresholds(value) {
+            if (!value) return null;
+
+            const thresholds = value.split(',')
+                .map(n => parseInt(n.trim(), 10))
+                .filter(n => Number.isFinite(n) && n > 0 && n <= 100);
+            return thresholds.length ? thresholds : null;
+        }
+
+        isScrollContainer(el) {
+            const mode = el.dataset.umamiScrollMode;
+            if (mode) return mode === 'container';
+
+            const style = window.getComputedStyle(el);
+            const overflowY = style.overflowY || style.overflow;
+            return ['auto', 'scroll', 'overlay'].includes(overflowY) && el.scrollHeight > el.clientHeight;
+        }
+
+        getElementScrollProgress(el) {
+            if (this.isScrollContainer(el)) {
+                const scrollable = el.scrollHeight - el.clientHeight;
+                if (scrollable <= 0) return null;
+                return { percent: (el.scrollTop / scrollable) * 100, pixels: el.scrollTop };
+            }
+
+            // Portion of the element that the bottom of the viewport has passed
+            const rect = el.getBoundingClientRect();
+            if (rect.height <= 0) return null;
+            const seen = Math.min(Math.max(window.innerHeight - rect.top, 0), rect.height);
+            return { percent: (seen / rect.height) * 100, pixels: Math.round(seen) };
+        }
+
+        checkElementScrollDepth(el) {
+            const scrollState = this.scrollElements.get(el);
+            const progress = scrollState && this.getElementScrollProgress(el);
+            if (!progress) return;
+
+            const scrollPercent = Math.round(progress.percent);
+            scrollState.thresholds.forEach(threshold => {
+                if (scrollPercent >= threshold && !scrollState.tracked.includes(threshold)) {
+                    scrollState.tracked.push(threshold);
+                    const eventData = this.getElementData(el);
+                    delete eventData.text;
+
+                    this.track(el.dataset.umamiScrollContainer || 'element-scroll-depth', {
+                        ...eventData,
+                        depth: threshold,
+                        percentage: `${threshold}%`,
+                        pixels: progress.pixels
+                    }, 'scroll');
+                }
+            });
+        }
+
+        // Time Tracking with Idle Detection
+        setupTimeTracking() {
+            this.setupEngagementTracking();
+            this.startHeartbeat();
+            this.log('Time tracking enabled');
+        }
+
+        // Engaged time only accumulates while the user is active, the document is
+        // visible and (with pauseOnBlur) the window has focus.
+        setupEngagementTracking() {
+            if (this.isEngaged()) {
+                this.state.engagedSince = Date.now();
+            }
+
+            this.addListener(document, 'visibilitychange', () => {
+                const isHidden = document.visibilityState === 'hidden';
+                if (!isHidden) this.state.lastActivity = Date.now();
+                this.setEngagementState({ isHidden });
+            });
+
+            if (this.options.pauseOnBlur) {
+                this.addListener(window, 'blur', () => this.setEngagementState({ isBlurred: true }));
+                this.addListener(window, 'focus', () => {
+                    this.state.lastActivity = Date.now();
+                    this.setEngagementState({ isBlurred: false });
+                });
+            }
+        }
+
+        isEngaged() {
+            return !this.state.isIdle && !this.state.isHidden && !this.state.isBlurred;
+        }
+
+        /**
+         * Apply idle/hidden/blurred changes, pausing or resuming the engaged-time
+         * accumulator. `at` is when the change really happened (idle starts at the last activity).
+         */
+        setEngagementState(changes, at = Date.now()) {
+            const wasEngaged = this.isEngaged();
+            Object.assign(this.state, changes);
+            const isEngaged = this.isEngaged();
+
+            if (wasEngaged && !isEngaged && this.state.engagedSince !== null) {
+                this.state.engagedMs += Math.max(0, at - this.state.engagedSince);
+                this.state.engagedSince = null;
+            } else if (!wasEngaged && isEngaged) {
+                this.state.engagedSince = at;
+            }
+        }
+
+        getActiveSeconds() {
+            let engagedMs = this.state.engagedMs;
+
+            if (this.state.engagedSince !== null) {
+                // Idleness is only detected periodically; a user past the idle timeout
+                // stopped being engaged at their last activity
+                const now = Date.now();
+                const activeUntil = now - this.state.lastActivity > this.options.idleTimeout ? this.state.lastActivity : now;
+                engagedMs += Math.max(0, activeUntil - this.state.engagedSince);
+            }
+
+            return Math.round(engagedMs / 1000);
+        }
+
+        startHeartbeat() {
+            if (this.destroyed) return;
+
+            if (this.state.heartbeatTimer) {
+                clearInterval(this.state.heartbeatTimer);
+            }
+            this.state.lastHeartbeatActiveSeconds = null;
+            this.state.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.options.heartbeatInterval);
+        }
+
+        sendHeartbeat() {
+            if (this.state.isIdle) return;
+
+            const activeSeconds = this.getActiveSeconds();
+            if (this.options.heartbeatOnlyOnChange && activeSeconds === this.state.lastHeartbeatActiveSeconds) return;
+            this.state.lastHeartbeatActiveSeconds = activeSeconds;
+
+            const timeSpent = Math.round((Date.now() - this.state.startTime) / 1000);
+            this.track('time-on-page', {
+                seconds: timeSpent,
+                minutes: Math.round(timeSpent / 60),
+                activeSeconds
+            }, 'time');
+        }
+
+        setupIdleTracking() {
+            const resetIdleTimer = () => {
+                const now = Date.now();
+                const idleDuration = now - this.state.lastActivity;
+                this.state.lastActivity = now;
+
+                if (this.state.isIdle) {
+                    this.setEngagementState({ isIdle: false }, now);
+                    this.track('user-active', {
+                        idleDuration: Math.round(idleDuration / 1000)
+                    }, 'time');
+                }
+            };
+
+            // Track user activity
+            ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart', 'click'].forEach(event => {
+                this.addListener(document, event, resetIdleTimer, { passive: true });
+            });
+
+            // Check for idle state every 30 seconds
+            this.addInterval(() => this.checkIdle(), 30000);
+            this.log('Idle tracking enabled');
+        }
+
+        checkIdle() {
+            const timeSinceActivity = Date.now() - this.state.lastActivity;
+            if (timeSinceActivity > this.options.idleTimeout && !this.state.isIdle) {
+                // Engagement ended with the last activity, not when idleness was noticed
+                this.setEngagementState({ isIdle: true }, this.state.lastActivity);
+                this.track('user-idle', {
+                    timeBeforeIdle: Math.round(timeSinceActivity / 1000)
+                }, 'time');
+            }
+        }
+
+        // Click Tracking
+        // A single delegated listener classifies each click and sends at most one event,
+        // picking the first tracked type in clickPrecedence.
+        setupClickTracking() {
+            this.addListener(document, 'click', (e) => this.handleClick(e));
+            this.log('Click tracking enabled');
+        }
+
+        handleClick(e) {
+            if (this.closestElement(e, '[data-umami-ignore]')) return;
+
+            const candidates = this.classifyClick(e);
+            const type = this.options.clickPrecedence.find(t => candidates[t] && this.isClickTypeTracked(t));
+            if (type) {
+                this.trackClick(type, candidates[type]);
+            }
+        }
+
+        /**
+         * Every classification that applies to a click, mapped to the element it applies to
+         */
+        classifyClick(e) {
+            const candidates = {};
+
+            const custom = this.closestElement(e, this.options.clickSelector);
+            if (custom) candidates.custom = custom;
+
+            const result = this.closestElement(e, this.getSearchResultSelector());
+            if (result) candidates.searchResult = result;
+
+            const product = this.closestElement(e, this.options.productSelector);
+            if (product) candidates.product = product;
+
+            const link = this.closestElement(e, 'a[href]');
+            if (link && link.protocol === 'mailto:') {
+                candidates.mailto = link;
+            } else if (link && link.protocol === 'tel:') {
+                candidates.tel = link;
+            } else if (link) {
+                if (this.isDownloadLink(link)) candidates.download = link;
+                candidates[this.isExternalLink(link.href) ? 'outbound' : 'navigation'] = link;
+            }
+
+            const button = this.closestElement(e, 'button, a, input[type="submit"], input[type="button"], [role="button"]');
+            if (button) candidates.button = button;
+
+            return candidates;
+        }
+
+        isClickTypeTracked(type) {
+            // Enabled by autoTrackDownloads, trackDownloads() or trackSearch()
+            if (type === 'download' || type === 'searchResult') return true;
+            if (type === 'product') return this.options.autoTrackProducts;
+            if (!this.options.autoTrackClicks) return false;
+            return (type !== 'navigation' && type !== 'button') || this.options.autoTrackAllClicks;
+        }
+
+        trackClick(type, element) {
+            switch (type) {
+                case 'custom':
+                    this.track(element.dataset.umamiTrack || 'click', this.getElementData(element), 'clicks');
+                    break;
+                case 'outbound':
+                    this.track('external-link-click', {
+                        url: element.href,
+                        text: element.textContent.trim().substring(0, 50)
+                    }, 'clicks');
+                    break;
+                case 'download':
+                    this.trackDownload(element);
+                    break;
+                case 'searchResult':
+                    this.trackSearchResultClick(element);
+                    break;
+                case 'product':
+                    this.trackProduct('product-click', element, 'clicks');
+                    break;
+                case 'mailto':
+                case 'tel': {
+                    let address = element.href.replace(/^(mailto|tel):/i, '').split('?')[0];
+                    try {
+                        address = decodeURIComponent(address);
+                    } catch {
+                        // Malformed escape sequence; keep the raw address
+                    }
+                    const data = { address, text: element.textContent.trim().substring(0, 50) };
+                    if (type === 'mailto' && address.includes('@')) data.domain = address.split('@').pop().toLowerCase();
+
+                    // The address is personal data whatever its format, so it is always redacted with
+                    // scrubPII, rather than left to the detectors; so is link text showing the number
+                    if (this.options.scrubPII) {
+                        const digits = address.replace(/\D/g, '');
+                        data.address = this.options.redactionText;
+                        if (type === 'tel' && digits && data.text.replace(/\D/g, '').includes(digits)) {
+                            data.text = this.options.redactionText;
+                        }
+                    }
+                    this.track(`${type}-click`, data, 'clicks');
+                    break;
+                }
+                default:
+                    this.track('click', {
+                        ...this.getElementData(element),
+                        clickType: type
+                    }, 'clicks');
+            }
+        }
+
+        // Frustration Signals
+        setupFrustrationTracking() {
+            if (!this.options.trackFrustration) return;
+
+            this.addListener(document, 'click', (e) => this.handleFrustrationClick(e), true);
+
+            const handleError = (message) => this.checkErrorClick(message);
+            this.addListener(window, 'error', (e) => handleError(e.message || 'Script error'));
+            this.addListener(window, 'unhandledrejection', (e) => {
+                const reason = e.reason;
+                handleError(reason && reason.message ? reason.message : String(reason));
+            });
+
+            this.log('Frustration signal tracking enabled');
+        }
+
+        handleFrustrationClick(e) {
+            const target = this.closestElement(e, '*');
+            if (!target || this.closestElement(e, '[data-umami-ignore]')) return;
+
+            const interactive = this.closestElement(e, this.options.deadClickSelector);
+            const element = interactive || target;
+            const now = Date.now();
+            this.frustration.lastClick = { element, time: now, reported: false };
+
+            if (this.checkRageClick(element, e, now)) return;
+            if (interactive) {
+                this.startDeadClickCheck(interactive);
+            }
+        }
+
+        checkRageClick(element, e, now) {
+            const { rageClickCount, rageClickWindowMs, rageClickRadius } = this.options;
+            const click = { element, x: e.clientX || 0, y: e.clientY || 0, time: now };
+
+            const recent = this.frustration.clicks.filter(c => now - c.time <= rageClickWindowMs);
+            recent.push(click);
+            this.frustration.clicks = recent;
+
+            const burst = recent.filter(c => c.element === element &&
+                Math.hypot(c.x - click.x, c.y - click.y) <= rageClickRadius);
+            if (burst.length < rageClickCount) return false;
+
+            // Report once per burst
+            this.frustration.clicks = recent.filter(c => c.element !== element);
+            this.track('rage-click', {
+                ...this.getElementData(element),
+                clickCount: burst.length
+            }, 'clicks');
+            return true;
+        }
+
+        startDeadClickCheck(element) {
+            if (this.frustration.deadClickCheck || !window.MutationObserver) return;
+
+            // Links that open elsewhere or download cause no visible change on this page
+            if (element.tagName === 'A' && (element.target === '_blank' || element.hasAttribute('download'))) return;
+
+            const check = {
+                element,
+                url: window.location.href,
+                resources: this.countResourceRequests(),
+                mutated: false
+            };
+            const observer = new MutationObserver(() => {
+                check.mutated = true;
+            });
+            observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+            const releaseObserver = this.addObserver(observer);
+            this.frustration.deadClickCheck = check;
+
+            this.addTimeout(() => {
+                releaseObserver();
+                this.frustration.deadClickCheck = null;
+
+                const navigated = window.location.href !== check.url;
+                const requested = this.countResourceRequests() > check.resources;
+                if (!check.mutated && !navigated && !requested && element.isConnected) {
+                    this.track('dead-click', this.getElementData(element), 'clicks');
+                }
+            }, this.options.deadClickTimeoutMs);
+        }
+
+        countResourceRequests() {
+            if (!window.performance || typeof performance.getEntriesByType !== 'function') return 0;
+
+            // Our own sends are not a reaction to the click: beacons, and requests to an
+            // Umami collector (/api/send), which the Umami script makes with fetch
+            return performance.getEntriesByType('resource')
+                .filter(entry => entry.initiatorType !== 'beacon' && !this.isCollectorRequest(entry.name)).length;
+        }
+
+        isCollectorRequest(url) {
+            if (this.transport.endpoint && url === this.transport.endpoint) return true;
+            try {
+                return /\/api\/send$/.test(new URL(url, window.location.href).pathname);
+            } catch {
+                return false;
+            }
+        }
+
+        checkErrorClick(message) {
+            const click = this.frustration.lastClick;
+            if (!click || click.reported || Date.now() - click.time > this.options.errorClickWindowMs) return;
+
+            click.reported = true;
+            this.track('error-click', {
+                ...this.getElementData(click.element),
+                error: String(message).substring(0, 100)
+            }, 'clicks');
+        }
+
+        closestElement(event, selector) {
+            // Events can be dispatched on document or window, which have no closest()
+            const target = event.target;
+            return target && typeof target.closest === 'function' ? target.closest(selector) : null;
+        }
+
+        getElementData(element) {
+            const data = {};
+
+            // Extract custom data attributes
+            Object.keys(element.dataset).forEach(key => {
+                if (key.startsWith('umamiData')) {
+                    const dataKey = key.replace('umamiData', '').toLowerCase();
+                    data[dataKey] = element.dataset[key];
+                }
+            });
+
+            // Add common element properties
+            if (element.tagName) data.element = element.tagName.toLowerCase();
+            if (element.id) data.id = element.id;
+            if (element.className) data.classes = element.className;
+            if (element.textContent) data.text = element.textContent.trim().substring(0, 50);
+            if (element.href) data.href = element.href;
+
+            return data;
+        }
+
+        /**
+         * File name and lower-case extension of a link; query strings and fragments are ignored
+         */
+        getLinkFile(link) {
+            let filename = '';
+            try {
+                filename = decodeURIComponent(new URL(link.href, window.location.href).pathname.split('/').pop());
+            } catch {
+                // Malformed URL or escape sequence
+            }
+
+            const match = /\.([a-z0-9]+)$/i.exec(filename);
+            return { filename, extension: match ? match[1].toLowerCase() : '' };
+        }
+
+        isDownloadLink(link) {
+            if (this.options.autoTrackDownloads) {
+                if (link.hasAttribute('download')) return true;
+
+                const { extension } = this.getLinkFile(link);
+                if (extension && this.options.downloadExtensions.some(ext => ext.toLowerCase() === extension)) return true;
+            }
+
+            return this.downloadSelectors.some(selector => {
+                try {
+                    return link.matches(selector);
+                } catch {
+                    return false;
+                }
+            });
+        }
+
+        trackDownload(link) {
+            const file = this.getLinkFile(link);
+
+            this.track('download', {
+                filename: link.getAttribute('download') || file.filename,
+                extension: file.extension,
+                url: this.sanitizeUrl(link.href)
+            }, 'clicks');
+        }
+
+        isInternalHost(hostname) {
+            if (hostname === window.location.hostname) return true;
+
+            return this.options.internalDomains.some(domain => {
+                const pattern = domain.toLowerCase();
+                if (pattern.startsWith('*.')) {
+                    const base = pattern.slice(2);
+                    return hostname === base || hostname.endsWith(`.${base}`);
+                }
+                return hostname === pattern;
+            });
+        }
+
+        isExternalLink(url) {
+            try {
+                const link = new URL(url, window.location.href);
+                return /^https?:$/.test(link.protocol) && !this.isInternalHost(link.hostname);
+            } catch {
+                return false;
+            }
+        }
+
+        // Error Tracking
+        setupErrorTracking() {
+            if (!this.options.trackErrors) return;
+
+            // Resource failures don't bubble, so listen during the capture phase
+            this.addListener(window, 'error', (e) => this.handleErrorEvent(e), true);
+            this.addListener(window, 'unhandledrejection', (e) => {
+                const reason = e.reason;
+                this.reportError({
+                    type: 'unhandledrejection',
+                    message: reason && reason.message ? reason.message : String(reason),
+                    stack: reason && reason.stack
+                });
+            });
+
+            this.log('Error tracking enabled');
+        }
+
+        handleErrorEvent(e) {
+            const target = e.target;
+
+            if (target && target !== window && target.tagName) {
+                this.reportError({
+                    type: 'resource',
+                    message: `Failed to load ${target.tagName.toLowerCase()}`,
+                    source: target.currentSrc || target.src || target.href || ''
+                });
+                return;
+            }
+
+            this.reportError({
+                type: 'error',
+                message: e.message || 'Script error',
+                source: e.filename,
+                line: e.lineno,
+                column: e.colno,
+                stack: e.error && e.error.stack
+            });
+        }
+
+        reportError({ type, message, source, line, column, stack }) {
+            const { errorIgnorePatterns, errorRateLimit, maxErrorsPerPage, errorStackLength } = this.options;
+            const text = String(message || '');
+
+            if (errorIgnorePatterns.some(pattern => (pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)))) {
+                return;
+            }
+
+            // Report each distinct error once
+            const signature = [type, text, source, line, column].join('|');
+            if (this.errors.seen.has(signature)) return;
+
+            // Dropped errors stay unseen so they can be reported once the limit clears
+            const now = Date.now();
+            this.errors.reportedAt = this.errors.reportedAt.filter(time => now - time < 60000);
+            if (this.errors.reportedAt.length >= errorRateLimit || this.errors.total >= maxErrorsPerPage) {
+                this.log('Error rate limit reached, error not tracked:', text);
+                return;
+            }
+            this.errors.seen.add(signature);
+            this.errors.reportedAt.push(now);
+            this.errors.total++;
+
+            const data = { type, message: text.substring(0, 200) };
+            if (source) data.source = source;
+            if (line) data.line = line;
+            if (column) data.column = column;
+            if (stack) data.stack = String(stack).substring(0, errorStackLength);
+
+            this.track('js-error', data, 'errors');
+        }
+
+        // Session Tracking
+        // Sessions live in sessionStorage, so they end with the tab and nothing is shared across sites.
+
+        setupSessionTracking() {
+            if (!this.options.trackSession || this.session) return;
+            // Nothing is stored before consent for time tracking; grantConsent() starts the session
+            if (!this.hasConsent('time')) {
+                this.log('Session tracking waits for consent');
+                return;
+            }
+
+            const now = Date.now();
+            const utm = getUtmParams(window.location.href);
+            let session = this.loadSession();
+
+            // Arriving from a different campaign starts a new session, as does inactivity
+            const expired = !session || now - session.lastSeen > this.options.sessionTimeout;
+            const newCampaign = session && Object.keys(utm).length && JSON.stringify(utm) !== JSON.stringify(session.utm);
+            if (expired || newCampaign) {
+                session = {
+                    startedAt: now,
+                    entryPage: this.getRoutePath(this.sanitizeUrl(window.location.href)),
+                    referrer: document.referrer ? this.sanitizeUrl(document.referrer) : null,
+                    utm,
+                    pageNumber: 0,
+                    engagedSeconds: 0
+                };
+            }
+
+            this.session = session;
+            this.startSessionPage(0);
+            this.log('Session tracking enabled, page', session.pageNumber);
+        }
+
+        loadSession() {
+            try {
+                const session = JSON.parse(window.sessionStorage.getItem(this.options.sessionStorageKey));
+                return session && typeof session.startedAt === 'number' ? session : null;
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * Persist the session. Stored engaged time includes the current page, while
+         * session.engagedSeconds only counts pages already left.
+         */
+        saveSession() {
+            if (!this.session || !this.hasConsent('time')) return;
+
+            // Expiry follows user activity, so an idle tab that is later closed does not extend the session
+            this.session.lastSeen = this.state.lastActivity;
+            try {
+                window.sessionStorage.setItem(this.options.sessionStorageKey, JSON.stringify({
+                    ...this.session,
+                    engagedSeconds: this.session.engagedSeconds + this.getActiveSeconds()
+                }));
+            } catch {
+                this.log('sessionStorage unavailable, session will not survive page loads');
+            }
+        }
+
+        startSessionPage(previousEngagedSeconds) {
+            if (!this.session) return;
+
+            this.session.engagedSeconds += previousEngagedSeconds;
+            this.session.pageNumber++;
+            this.saveSession();
+        }
+
+        clearSession() {
+            this.session = null;
+            try {
+                window.sessionStorage.removeItem(this.options.sessionStorageKey);
+            } catch {
+                // Nothing was stored
+            }
+        }
+
+        getSessionData() {
+            if (!this.session) return null;
+
+            const { startedAt, entryPage, referrer, utm, pageNumber, engagedSeconds } = this.session;
+            const data = {
+                sessionStartedAt: new Date(startedAt).toISOString(),
+                entryPage,
+                pageNumber,
+                sessionEngagedSeconds: engagedSeconds + this.getActiveSeconds()
+            };
+            if (referrer) data.referrer = referrer;
+            return { ...data, ...utm };
+        }
+
+        // Funnels
+        // Progress is kept in localStorage, so a funnel abandoned by closing the tab is still
+        // reported as a drop-off on the next visit. Nothing advances or is stored without
+        // consent for the funnels category.
+
+        loadFunnelProgress() {
+            if (this.funnelProgress) return this.funnelProgress;
+
+            try {
+                this.funnelProgress = JSON.parse(window.localStorage.getItem(this.options.funnelStorageKey)) || {};
+            } catch {
+                this.funnelProgress = {};
+            }
+            return this.funnelProgress;
+        }
+
+        saveFunnelProgress() {
+            if (!this.hasConsent('funnels')) return;
+
+            try {
+                window.localStorage.setItem(this.options.funnelStorageKey, JSON.stringify(this.funnelProgress));
+            } catch {
+                this.log('localStorage unavailable, funnel progress will not survive page loads');
+            }
+        }
+
+        clearFunnelProgress() {
+            this.funnelProgress = null;
+            this.funnels.forEach(funnel => {
+                if (funnel.releaseTimer) funnel.releaseTimer();
+                funnel.releaseTimer = null;
+            });
+            try {
+                window.localStorage.removeItem(this.options.funnelStorageKey);
+            } catch {
+                // Nothing was stored
+            }
+        }
+
+        getStepName(step) {
+            return step.name || step.event || String(step.url);
+        }
+
+        matchesFunnelStep(step, { event, url }) {
+            if (!step) return false;
+            if (step.event) return event === step.event;
+            if (!url || !step.url) return false;
+
+            const parsed = new URL(url, window.location.href);
+            const path = this.options.hashRouting ? parsed.pathname + parsed.hash : parsed.pathname;
+            if (step.url instanceof RegExp) return step.url.test(path);
+            if (step.url.endsWith('*')) return path.startsWith(step.url.slice(0, -1));
+            return path === step.url;
+        }
+
+        /**
+         * Move each funnel on when an event or URL matches its next step.
+         * Steps must happen in order; an attempt in progress is never restarted.
+         */
+        advanceFunnels(signal) {
+            if (!this.funnels.size || !this.hasConsent('funnels')) return;
+            if (signal.event === 'funnel-step' || signal.event === 'funnel-dropoff') return;
+            this.loadFunnelProgress();
+
+            this.funnels.forEach(funnel => {
+                this.checkFunnelExpiry(funnel);
+
+                const progress = this.funnelProgress[funnel.name];
+                const index = progress ? progress.step + 1 : 0;
+                if (this.matchesFunnelStep(funnel.steps[index], signal)) {
+                    this.completeFunnelStep(funnel, index);
+                }
+            });
+        }
+
+        /**
+         * Report a drop-off left over from an earlier visit, then check the current page
+         */
+        startFunnel(funnel) {
+            this.loadFunnelProgress();
+            if (!this.checkFunnelExpiry(funnel) && this.funnelProgress[funnel.name]) {
+                this.scheduleFunnelExpiry(funnel);
+            }
+
+            const progress = this.funnelProgress[funnel.name];
+            const index = progress ? progress.step + 1 : 0;
+            if (this.matchesFunnelStep(funnel.steps[index], { url: window.location.href })) {
+                this.completeFunnelStep(funnel, index);
+            }
+        }
+
+        completeFunnelStep(funnel, index) {
+            const now = Date.now();
+            const progress = this.funnelProgress[funnel.name];
+            const data = {
+                funnel: funnel.name,
+                step: index + 1,
+                stepName: this.getStepName(funnel.steps[index]),
+                stepCount: funnel.steps.length
+            };
+            if (progress) {
+                data.secondsSincePreviousStep = Math.round((now - progress.stepAt) / 1000);
+                data.secondsSinceStart = Math.round((now - progress.startedAt) / 1000);
+            }
+
+            if (index === funnel.steps.length - 1) {
+                data.completed = true;
+                delete this.funnelProgress[funnel.name];
+            } else {
+                this.funnelProgress[funnel.name] = {
+                    step: index,
+                    startedAt: progress ? progress.startedAt : now,
+                    stepAt: now,
+                    updatedAt: now,
+                    sessionStartedAt: this.session ? this.session.startedAt : null
+                };
+                this.scheduleFunnelExpiry(funnel);
+            }
+            this.saveFunnelProgress();
+
+            this.track('funnel-step', data, 'funnels');
+        }
+
+        /**
+         * A funnel left untouched for longer than its timeout (by default the session timeout),
+         * or started in an earlier session, has been abandoned
+         */
+        checkFunnelExpiry(funnel) {
+            const progress = this.funnelProgress[funnel.name];
+            if (!progress) return false;
+
+            const lastSeen = progress.updatedAt;
+            const otherSession = Boolean(this.session && progress.sessionStartedAt &&
+                progress.sessionStartedAt !== this.session.startedAt);
+            if (!otherSession && Date.now() - lastSeen < funnel.timeoutMs) return false;
+
+            delete this.funnelProgress[funnel.name];
+            this.saveFunnelProgress();
+
+            this.track('funnel-dropoff', {
+                funnel: funnel.name,
+                lastStep: progress.step + 1,
+                lastStepName: this.getStepName(funnel.steps[progress.step]),
+                stepCount: funnel.steps.length,
+                secondsInFunnel: Math.round((lastSeen - progress.startedAt) / 1000)
+            }, 'funnels');
+            return true;
+        }
+
+        scheduleFunnelExpiry(funnel) {
+            if (funnel.releaseTimer) funnel.releaseTimer();
+
+            funnel.releaseTimer = this.addTimeout(() => {
+                funnel.releaseTimer = null;
+                if (!this.funnelProgress || !this.funnelProgress[funnel.name]) return;
+
+                // Activity on the page keeps the funnel alive
+                this.touchFunnels();
+                if (!this.checkFunnelExpiry(funnel)) this.scheduleFunnelExpiry(funnel);
+            }, funnel.timeoutMs);
+        }
+
+        touchFunnels() {
+            if (!this.funnels.size || !this.funnelProgress) return;
+
+            this.funnels.forEach(funnel => {
+                const progress = this.funnelProgress[funnel.name];
+                if (progress) progress.updatedAt = Math.max(progress.updatedAt, this.state.lastActivity);
+            });
+            this.saveFunnelProgress();
+        }
+
+        // Search Analytics
+        // Queries are normalised (trimmed, lower-cased, whitespace collapsed) and capped before sending.
+
+        normalizeQuery(value) {
+            return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+        }
+
+        attachSearchTracking(input, search) {
+            const state = { lastQuery: null, releaseTimer: null };
+            search.inputs.add(input);
+            const settle = () => {
+                if (state.releaseTimer) state.releaseTimer();
+                state.releaseTimer = null;
+            };
+            const submit = (trigger) => {
+                settle();
+                this.reportSearch(input, search, state, trigger);
+            };
+
+            // Enter inside a form also submits it; repeated queries are only reported once
+            const releases = [
+                this.addListener(input, 'keydown', (e) => {
+                    if (e.key === 'Enter') submit('enter');
+                })
+            ];
+            if (input.form) {
+                releases.push(this.addListener(input.form, 'submit', () => submit('submit')));
+            }
+            if (search.buttonSelector) {
+                releases.push(this.addListener(document, 'click', (e) => {
+                    if (this.closestElement(e, search.buttonSelector)) submit('button');
+                }));
+            }
+            if (search.searchAsYouType || input.hasAttribute('data-umami-search-as-you-type')) {
+                releases.push(this.addListener(input, 'input', () => {
+                    settle();
+                    state.releaseTimer = this.addTimeout(() => {
+                        state.releaseTimer = null;
+                        this.reportSearch(input, search, state, 'typing');
+                    }, search.debounceMs);
+                }));
+            }
+
+            return () => {
+                settle();
+                search.inputs.delete(input);
+                releases.forEach(release => release());
+            };
+        }
+
+        reportSearch(input, search, state, trigger) {
+            const fullQuery = this.normalizeQuery(input.value);
+            const query = fullQuery.substring(0, this.options.searchMaxQueryLength);
+            if (!query || query === state.lastQuery) return;
+            if (trigger === 'typing' && query.length < this.options.searchMinQueryLength) return;
+            state.lastQuery = query;
+
+            const send = (count) => {
+                const data = { query, queryLength: fullQuery.length, trigger };
+                if (typeof count === 'number' && isFinite(count)) {
+                    data.resultCount = count;
+                    data.noResults = count === 0;
+                }
+                this.lastSearch = { query, resultCount: data.resultCount };
+                this.track(input.dataset.umamiSearch || search.eventName, data, 'forms');
+            };
+
+            const count = this.getSearchResultCount(input, search, query);
+            if (count && typeof count.then === 'function') {
+                count.then(send, () => send(null));
+            } else {
+                send(count);
+            }
+        }
+
+        /**
+         * Result count from the search's resultCount callback, or from a data-umami-result-count
+         * attribute on the input, its form or the results container
+         */
+        getSearchResultCount(input, search, query) {
+            if (typeof search.resultCount === 'function') {
+                try {
+                    return search.resultCount(query, input);
+                } catch (error) {
+                    this.log('Search resultCount callback failed:', error);
+                    return null;
+                }
+            }
+
+            const holder = input.closest('[data-umami-result-count]') || document.querySelector('[data-umami-result-count]');
+            if (!holder) return null;
+            const count = parseInt(holder.getAttribute('data-umami-result-count'), 10);
+            return Number.isFinite(count) ? count : null;
+        }
+
+        /**
+         * Query in a tracked search box, e.g. prefilled on a results page reached by a form submit
+         */
+        getCurrentSearchQuery() {
+            for (const search of this.searches) {
+                for (const input of search.inputs) {
+                    const query = this.normalizeQuery(input.value);
+                    if (query) return query.substring(0, this.options.searchMaxQueryLength);
+                }
+            }
+            return '';
+        }
+
+        getSearchResultSelector() {
+            return ['[data-umami-search-result]']
+                .concat(this.searches.filter(search => search.resultSelector).map(search => search.resultSelector))
+                .join(', ');
+        }
+
+        trackSearchResultClick(element) {
+            // Position among the results matched by the same selector, unless the markup gives one
+            const search = this.searches.find(s => s.resultSelector && element.matches(s.resultSelector));
+            const results = Array.from(document.querySelectorAll(search ? search.resultSelector : '[data-umami-search-result]'));
+            const explicitPosition = parseInt(element.getAttribute('data-umami-search-result'), 10);
+            const link = element.closest('a[href]') || element.querySelector('a[href]');
+
+            const data = {
+                query: this.lastSearch ? this.lastSearch.query : this.getCurrentSearchQuery(),
+                position: Number.isFinite(explicitPosition) ? explicitPosition : results.indexOf(element) + 1,
+                resultsShown: results.length
+            };
+            if (link) data.url = this.sanitizeUrl(link.href);
+
+            this.track('search-result-click', data, 'clicks');
+        }
+
+        // Ecommerce Tracking
+        /**
+         * Validate a payload and send the ecommerce event for method; invalid payloads are
+         * logged and not sent
+         */
+        trackEcommerce(method, payload) {
+            const errors = validateEcommercePayload(method, payload, this.options.currency);
+            if (errors.length) {
+                this.log(`Invalid ${method} payload, not tracked: ${errors.join('; ')}`);
+                return false;
+            }
+
+            this.track(ECOMMERCE_EVENTS[method], flattenEcommercePayload(payload, this.options.currency));
+            return true;
+        }
+
+        /**
+         * Product cards with their own data-umami-visible attribute report that event instead
+         */
+        isProductImpression(element) {
+            return this.options.autoTrackProducts && !element.hasAttribute('data-umami-visible') &&
+                element.matches(this.options.productSelector);
+        }
+
+        /**
+         * Payload for a product card's data-umami-product-* attributes, and its list name and
+         * position from the nearest data-umami-product-list
+         */
+        getProductData(element) {
+            const attrs = element.dataset;
+            const item = { id: attrs.umamiProductId };
+            ['name', 'category', 'brand', 'variant'].forEach(field => {
+                const value = attrs[`umamiProduct${field.charAt(0).toUpperCase()}${field.slice(1)}`];
+                if (value) item[field] = value;
+            });
+            if (attrs.umamiProductPrice) item.price = Number(attrs.umamiProductPrice);
+
+            const payload = { items: [item] };
+            if (attrs.umamiProductCurrency) payload.currency = attrs.umamiProductCurrency;
+
+            const context = {};
+            const list = element.closest('[data-umami-product-list]');
+            const explicitPosition = parseInt(attrs.umamiProductPosition, 10);
+            if (list && list.dataset.umamiProductList) context.listName = list.dataset.umamiProductList;
+            if (Number.isFinite(explicitPosition)) {
+                context.position = explicitPosition;
+            } else if (list) {
+                context.position = Array.from(list.querySelectorAll(this.options.productSelector)).indexOf(element) + 1;
+            }
+            return { payload, context };
+        }
+
+        trackProduct(eventName, element, category) {
+            const { payload, context } = this.getProductData(element);
+            const errors = validateEcommercePayload('viewItem', payload, this.options.currency);
+            if (errors.length) {
+                this.log(`Invalid product attributes on ${getDomPath(element)}, not tracked: ${errors.join('; ')}`);
+                return;
+            }
+
+            this.track(eventName, flattenEcommercePayload(payload, this.options.currency, context), category);
+        }
+
+        // Performance Tracking
+        setupPerformanceTracking() {
+            if (!this.options.trackPerformance) return;
+            if (!window.PerformanceObserver) {
+                this.log('PerformanceObserver not supported, performance tracking disabled');
+                return;
+            }
+
+            const metrics = { lcp: null, fcp: null, cls: 0, interactions: new Map(), reported: false };
+            const clsSession = { value: 0, firstTime: 0, lastTime: 0 };
+            this.performanceMetrics = metrics;
+
+            this.observePerformance('largest-contentful-paint', entries => {
+                const last = entries[entries.length - 1];
+                metrics.lcp = last.renderTime || last.startTime;
+            });
+
+            this.observePerformance('paint', entries => entries.forEach(entry => {
+                if (entry.name === 'first-contentful-paint') metrics.fcp = entry.startTime;
+            }));
+
+            // CLS is the largest burst of shifts: gaps under 1s, bursts capped at 5s
+            this.observePerformance('layout-shift', entries => entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                const continuesSession = clsSession.value > 0 &&
+                    entry.startTime - clsSession.lastTime < 1000 &&
+                    entry.startTime - clsSession.firstTime < 5000;
+                if (continuesSession) {
+                    clsSession.value += entry.value;
+                } else {
+                    clsSession.value = entry.value;
+                    clsSession.firstTime = entry.startTime;
+                }
+                clsSession.lastTime = entry.startTime;
+                metrics.cls = Math.max(metrics.cls, clsSession.value);
+            }));
+
+            const recordInteractions = entries => entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                const longest = metrics.interactions.get(entry.interactionId) || 0;
+                metrics.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+            });
+            this.observePerformance('event', recordInteractions, { durationThreshold: 40 });
+            this.observePerformance('first-input', recordInteractions);
+
+            this.log('Performance tracking enabled');
+        }
+
+        observePerformance(type, callback, options = {}) {
+            try {
+                const observer = new PerformanceObserver(list => callback(list.getEntries()));
+                observer.observe({ type, buffered: true, ...options });
+                this.addObserver(observer);
+            } catch {
+                this.log(`Performance entry type "${type}" not supported`);
+            }
+        }
+
+        getInteractionToNextPaint() {
+            const durations = Array.from(this.performanceMetrics.interactions.values()).sort((a, b) => b - a);
+            if (!durations.length) return null;
+
+            // Approximates the 98th percentile: skip one outlier per 50 interactions
+            return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+        }
+
+        rateWebVital(name, value) {
+            const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        }
+
+        /**
+         * Send collected metrics once per page view
+         */
+        reportPerformance() {
+            const metrics = this.performanceMetrics;
+            if (!metrics || metrics.reported) return;
+
+            const vitals = {
+                lcp: metrics.lcp,
+                fcp: metrics.fcp,
+                inp: this.getInteractionToNextPaint(),
+                cls: metrics.cls
+            };
+
+            const navigation = typeof performance.getEntriesByType === 'function'
+                ? performance.getEntriesByType('navigation')[0]
+                : null;
+            const data = {};
+            if (navigation) {
+                vitals.ttfb = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+                data.navigationType = navigation.type;
+                if (navigation.domContentLoadedEventEnd) data.domContentLoaded = Math.round(navigation.domContentLoadedEventEnd);
+                if (navigation.loadEventEnd) data.loadTime = Math.round(navigation.loadEventEnd);
+                data.dnsTime = Math.round(navigation.domainLookupEnd - navigation.domainLookupStart);
+                data.connectTime = Math.round(navigation.connectEnd - navigation.connectStart);
+            }
+
+            Object.keys(vitals).forEach(name => {
+                const value = vitals[name];
+                if (value === null || value === undefined) return;
+                data[name] = name === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+                data[`${name}Rating`] = this.rateWebVital(name, value);
+            });
+
+            metrics.reported = true;
+            this.track('web-vitals', data, 'performance');
+        }
+
+        // Element Visibility Tracking
+        setupVisibilityTracking() {
+            if (!window.IntersectionObserver) {
+                this.log('IntersectionObserver not supported, visibility tracking disabled');
+                return;
+            }
+
+            const defaultThresholds = [Math.round(this.options.visibilityThreshold * 100)];
+            this.getVisibilityObserver(defaultThresholds);
+            // Product cards report impressions through the same observers
+            const selector = this.options.autoTrackProducts
+                ? `${this.options.visibilitySelector}, ${this.options.productSelector}`
+                : this.options.visibilitySelector;
+            this.visibilityBinding = this.bindElements(selector,
+                el => this.attachVisibilityTracking(el, defaultThresholds));
+
+            // Dwell time only counts while the page itself is visible
+            this.addListener(document, 'visibilitychange', () => {
+                const now = Date.now();
+                this.visibilityStates.forEach(visibility => {
+                    if (document.visibilityState === 'hidden') {
+                        this.pauseDwell(visibility, now);
+                    } else if (visibility.inView) {
+                        visibility.visibleSince = now;
+                    }
+                });
+            });
+            this.log('Visibility tracking enabled');
+        }
+
+        /**
+         * Stable identity for an element: data-umami-visible-key, then id, then its DOM path
+         */
+        getVisibilityKey(element) {
+            return element.dataset.umamiVisibleKey || element.id || getDomPath(element);
+        }
+
+        getVisibilityObserver(thresholds) {
+            const key = thresholds.join(',');
+            if (!this.visibilityObservers.has(key)) {
+                const observer = new IntersectionObserver(
+                    entries => entries.forEach(entry => this.handleVisibilityEntry(entry)),
+                    { threshold: thresholds.map(threshold => threshold / 100) }
+                );
+                this.addObserver(observer);
+                this.visibilityObservers.set(key, observer);
+            }
+            return this.visibilityObservers.get(key);
+        }
+
+        attachVisibilityTracking(el, defaultThresholds) {
+            const thresholds = (this.parseThresholds(el.dataset.umamiVisibleThresholds) || defaultThresholds)
+                .slice().sort((a, b) => a - b);
+            const visibility = this.resetVisibilityState({ key: this.getVisibilityKey(el), thresholds });
+            this.visibilityStates.set(el, visibility);
+
+            const observer = this.getVisibilityObserver(thresholds);
+            observer.observe(el);
+
+            return () => {
+                observer.unobserve(el);
+                this.pauseDwell(visibility);
+                this.reportDwell(el, visibility);
+                this.visibilityStates.delete(el);
+            };
+        }
+
+        resetVisibilityState(visibility) {
+            return Object.assign(visibility, {
+                reported: new Set(),
+                inView: false,
+                visibleSince: null,
+                dwellMs: 0,
+                impressions: 0
+            });
+        }
+
+        handleVisibilityEntry(entry) {
+            const element = entry.target;
+            const visibility = this.visibilityStates.get(element);
+            if (!visibility) return;
+
+            // An element is in view while it is above its lowest threshold
+            const percent = Math.round(entry.intersectionRatio * 100);
+            const inView = entry.isIntersecting && percent >= visibility.thresholds[0];
+
+            if (inView && !visibility.inView) {
+                visibility.impressions++;
+                if (this.options.visibilityRepeat) visibility.reported.clear();
+                if (document.visibilityState !== 'hidden') visibility.visibleSince = Date.now();
+            } else if (!inView && visibility.inView) {
+                this.pauseDwell(visibility);
+            }
+            visibility.inView = inView;
+            if (!inView) return;
+
+            visibility.thresholds.forEach(threshold => {
+                if (percent < threshold || visibility.reported.has(threshold)) return;
+                visibility.reported.add(threshold);
+                this.state.visibleElements.add(visibility.key);
+
+                if (this.isProductImpression(element)) {
+                    this.trackProduct('product-impression', element, 'visibility');
+                    return;
+                }
+
+                const eventData = {
+                    ...this.getElementData(element),
+                    elementKey: visibility.key,
+                    threshold,
+                    intersectionRatio: percent
+                };
+                if (this.options.visibilityRepeat) eventData.impression = visibility.impressions;
+
+                this.track(element.dataset.umamiVisible || 'element-visible', eventData, 'visibility');
+            });
+        }
+
+        pauseDwell(visibility, now = Date.now()) {
+            if (visibility.visibleSince === null) return;
+
+            visibility.dwellMs += now - visibility.visibleSince;
+            visibility.visibleSince = null;
+        }
+
+        reportDwell(element, visibility) {
+            const dwellMs = visibility.dwellMs;
+            visibility.dwellMs = 0;
+            if (this.isProductImpression(element)) return;
+            if (!this.options.visibilityDwell || !dwellMs || dwellMs < this.options.visibilityMinDwellMs) return;
+
+            const eventData = this.getElementData(element);
+            delete eventData.text;
+
+            this.track('element-dwell', {
+                ...eventData,
+                elementKey: visibility.key,
+                dwellMs,
+                impressions: visibility.impressions
+            }, 'visibility');
+        }
+
+        /**
+         * Report dwell time accumulated since the last report, e.g. on page exit
+         */
+        trackVisibilityDwell() {
+            const now = Date.now();
+
+            this.visibilityStates.forEach((visibility, element) => {
+                const counting = visibility.visibleSince !== null;
+                this.pauseDwell(visibility, now);
+                if (counting) visibility.visibleSince = now;
+                this.reportDwell(element, visibility);
+            });
+        }
+
+        // Dynamic DOM Tracking
+
+        /**
+         * Run attach() for every element matching selector, now and whenever one is
+         * added to the DOM. The function attach() returns is called when the element is removed.
+         */
+        bindElements(selector, attach) {
+            const binding = { selector, attach, elements: new Map() };
+            if (this.destroyed) return binding;
+
+            // An invalid selector throws here, before the binding is kept for later mutations
+            const elements = document.querySelectorAll(selector);
+            this.elementBindings.push(binding);
+            elements.forEach(el => this.attachBinding(binding, el));
+            this.ensureMutationObserver();
+            return binding;
+        }
+
+        attachBinding(binding, element) {
+            if (binding.elements.has(element)) return;
+            binding.elements.set(element, binding.attach(element) || (() => {}));
+        }
+
+        ensureMutationObserver() {
+            if (this.mutationObserver || !this.options.observeDomChanges) return;
+            if (!window.MutationObserver) {
+                this.log('MutationObserver not supported, elements added later will not be tracked');
+                return;
+            }
+
+            this.mutationObserver = new MutationObserver(mutations => this.queueMutations(mutations));
+            this.mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+            this.addObserver(this.mutationObserver);
+        }
+
+        queueMutations(mutations) {
+            const pending = this.pendingMutations;
+
+            mutations.forEach(mutation => {
+                if (mutation.removedNodes.length) pending.removed = true;
+                if (pending.overflow) return;
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) pending.added.add(node);
+                });
+                if (pending.added.size > this.options.maxMutationNodes) {
+                    pending.overflow = true;
+                    pending.added.clear();
+                }
+            });
+
+            if (!pending.scheduled) {
+                pending.scheduled = true;
+                this.addTimeout(() => this.flushMutations(), this.options.mutationDebounceMs);
+            }
+        }
+
+        flushMutations() {
+            const { added, removed, overflow } = this.pendingMutations;
+            this.pendingMutations = { added: new Set(), removed: false, overflow: false, scheduled: false };
+
+            // One failing binding must not keep the others from seeing the batch
+            this.elementBindings.forEach(binding => {
+                try {
+                    this.updateBinding(binding, { added, removed, overflow });
+                } catch (error) {
+                    this.log('Failed to update tracked elements for', binding.selector, error);
+                }
+            });
+        }
+
+        updateBinding(binding, { added, removed, overflow }) {
+            if (removed) {
+                binding.elements.forEach((release, el) => {
+                    if (!el.isConnected) {
+                        binding.elements.delete(el);
+                        release();
+                    }
+                });
+            }
+
+            // A huge update is cheaper to handle with one rescan than node by node
+            if (overflow) {
+                document.querySelectorAll(binding.selector).forEach(el => this.attachBinding(binding, el));
+                return;
+            }
+
+            added.forEach(node => {
+                if (!node.isConnected) return;
+                if (node.matches(binding.selector)) this.attachBinding(binding, node);
+                node.querySelectorAll(binding.selector).forEach(el => this.attachBinding(binding, el));
+            });
+        }
+
+        // Page Exit Tracking
+        setupPageExitTracking() {
+            const trackPageExit = () => this.trackPageExit();
+
+            // Use beforeunload for immediate tracking
+            this.addListener(window, 'beforeunload', trackPageExit);
+
+            // Use visibilitychange as backup. Hiding the page may only be a tab switch,
+            // so started forms are left open until the page is really unloaded.
+            this.addListener(document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.trackPageExit(this.state.currentUrl, { unloading: false });
+                }
+            });
+            this.addListener(window, 'pagehide', () => this.trackFormAbandonment(this.state.currentUrl));
+
+            this.log('Page exit tracking enabled');
+        }
+
+        trackPageExit(url = this.state.currentUrl, { unloading = true } = {}) {
+            if (unloading) this.trackFormAbandonment(url);
+            this.trackMediaWatchTime();
+            this.reportPerformance();
+            this.trackVisibilityDwell();
+
+            const totalTime = Math.round((Date.now() - this.state.startTime) / 1000);
+            const maxScroll = Math.max(...this.state.scrollDepthTracked, 0);
+
+            this.track('page-exit', {
+                path: this.getRoutePath(url),
+                totalTimeSeconds: totalTime,
+                activeTimeSeconds: this.getActiveSeconds(),
+                maxScrollDepth: maxScroll,
+                scrollDepthsReached: this.state.scrollDepthTracked.length,
+                ...this.getSessionData()
+            }, 'time');
+            this.saveSession();
+            this.touchFunnels();
+        }
+
+        // SPA Navigation Tracking
+        setupNavigationTracking() {
+            if (!this.options.trackRouteChanges) return;
+
+            const tracker = this;
+
+            // Patch the History API so router-driven navigations are observed
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = window.history[method];
+                const patched = function (...args) {
+                    const result = original.apply(this, args);
+                    if (!tracker.destroyed) {
+                        tracker.handleLocationChange();
+                    }
+                    return result;
+                };
+                window.history[method] = patched;
+
+                this.addCleanup(() => {
+                    // Leave the chain intact if something patched on top of us;
+                    // the wrapper becomes a pass-through once destroyed
+                    if (window.history[method] === patched) {
+                        window.history[method] = original;
+                    }
+                });
+            });
+
+            const handleLocationChange = () => this.handleLocationChange();
+            this.addListener(window, 'popstate', handleLocationChange);
+            this.addListener(window, 'hashchange', handleLocationChange);
+
+            this.log('Route change tracking enabled');
+        }
+
+        handleLocationChange() {
+            const previousUrl = this.state.currentUrl;
+            const url = window.location.href;
+
+            if (url === previousUrl) return;
+
+            this.state.currentUrl = url;
+
+            // Anchor jumps within the same page are not route changes
+            if (this.getRoutePath(url) === this.getRoutePath(previousUrl)) return;
+
+            this.trackPageExit(previousUrl);
+            const engagedSeconds = this.getActiveSeconds();
+            this.resetPageState();
+            this.startSessionPage(engagedSeconds);
+            this.advanceFunnels({ url });
+            this.log('Route changed:', this.getRoutePath(url));
+        }
+
+        getRoutePath(url) {
+            try {
+                const parsed = new URL(url, window.location.href);
+                const path = parsed.pathname + parsed.search;
+                return this.options.hashRouting ? path + parsed.hash : path;
+            } catch {
+                return url;
+            }
+        }
+
+        /**
+         * Restart scroll, time, idle and visibility tracking for a new route
+         */
+        resetPageState() {
+            const now = Date.now();
+
+            this.state.scrollDepthTracked = [];
+            this.state.startTime = now;
+            this.state.lastActivity = now;
+            this.state.isIdle = false;
+            this.state.engagedMs = 0;
+            this.state.engagedSince = this.isEngaged() ? now : null;
+            this.state.visibleElements.clear();
+            this.scrollElements.forEach(scrollState => {
+                scrollState.tracked = [];
+            });
+            this.formStates.forEach(formState => this.resetFormState(formState));
+
+            if (this.state.heartbeatTimer) {
+                this.startHeartbeat();
+            }
+
+            if (this.visibilityObservers.size) {
+                this.visibilityStates.forEach(visibility => this.resetVisibilityState(visibility));
+
+                // Re-observing delivers a fresh entry for elements already in view
+                this.visibilityObservers.forEach(observer => observer.disconnect());
+                this.visibilityStates.forEach((visibility, el) => this.getVisibilityObserver(visibility.thresholds).observe(el));
+            }
+        }
+
+        // Form Analytics
+        // Only field names and types are ever reported, never field values.
+
+        attachFormTracking(form, eventName) {
+            const formState = this.resetFormState({ formId: form.id || form.getAttribute('name') || 'unnamed-form' });
+            this.formStates.set(form, formState);
+
+            const releases = [
+                this.addListener(form, 'focusin', (e) => this.handleFieldFocus(formState, e.target)),
+                this.addListener(form, 'focusout', (e) => this.handleFieldBlur(formState, e.target)),
+                // invalid does not bubble, so listen during the capture phase
+                this.addListener(form, 'invalid', (e) => this.handleFieldInvalid(formState, e.target), true),
+                this.addListener(form, 'submit', () => this.handleFormSubmit(form, formState, eventName))
+            ];
+
+            return () => {
+                // A started form removed from the page (e.g. a closed modal) counts as abandoned
+                this.abandonForm(form, formState);
+                this.formStates.delete(form);
+                releases.forEach(release => release());
+            };
+        }
+
+        resetFormState(formState) {
+            formState.started = false;
+            formState.startTime = null;
+            formState.submitted = false;
+            formState.abandoned = false;
+            formState.lastField = null;
+            formState.focusedAt = null;
+            formState.interacted = new Set();
+            return formState;
+        }
+
+        isTrackableField(field) {
+            if (!field || !['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName)) return false;
+            return !['submit', 'button', 'reset', 'image', 'hidden'].includes(field.type);
+        }
+
+        getFieldName(field) {
+            return field.name || field.id || field.type || field.tagName.toLowerCase();
+        }
+
+        getFieldType(field) {
+            return field.type || field.tagName.toLowerCase();
+        }
+
+        handleFieldFocus(formState, field) {
+            if (!this.isTrackableField(field)) return;
+
+            const fieldName = this.getFieldName(field);
+            if (!formState.started) {
+                formState.started = true;
+                formState.startTime = Date.now();
+                this.track('form-start', {
+                    formId: formState.formId,
+                    field: fieldName
+                }, 'forms');
+            }
+
+            formState.focusedAt = Date.now();
+            formState.lastField = fieldName;
+            formState.interacted.add(fieldName);
+
+            if (this.options.formFieldEvents) {
+                this.track('form-field-focus', {
+                    formId: formState.formId,
+                    field: fieldName,
+                    fieldType: this.getFieldType(field)
+                }, 'forms');
+            }
+        }
+
+        handleFieldBlur(formState, field) {
+            if (!this.isTrackableField(field) || formState.focusedAt === null) return;
+
+            const timeSpentMs = Date.now() - formState.focusedAt;
+            formState.focusedAt = null;
+
+            if (this.options.formFieldEvents) {
+                this.track('form-field-blur', {
+                    formId: formState.formId,
+                    field: this.getFieldName(field),
+                    fieldType: this.getFieldType(field),
+                    timeSpentMs,
+                    empty: this.isFieldEmpty(field)
+                }, 'forms');
+            }
+        }
+
+        handleFieldInvalid(formState, field) {
+            if (!field || !field.validity) return;
+
+            // Report the first failing constraint, e.g. valueMissing or typeMismatch
+            const error = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+                'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError']
+                .find(key => field.validity[key]) || 'invalid';
+
+            this.track('form-invalid', {
+                formId: formState.formId,
+                field: this.getFieldName(field),
+                fieldType: this.getFieldType(field),
+                error
+            }, 'forms');
+        }
+
+        handleFormSubmit(form, formState, eventName) {
+            const formData = new FormData(form);
+            const emptyFields = this.getEmptyFields(form);
+            const data = {
+                formId: formState.formId,
+                fields: formData.keys ? Array.from(formData.keys()).length : 0,
+                emptyFields: emptyFields.length,
+                fieldsInteracted: formState.interacted.size
+            };
+            if (emptyFields.length) data.emptyFieldNames = emptyFields.join(',');
+            if (formState.startTime) data.timeToSubmitSeconds = Math.round((Date.now() - formState.startTime) / 1000);
+
+            formState.submitted = true;
+            this.track(eventName, data, 'forms');
+        }
+
+        isFieldEmpty(field) {
+            if (field.type === 'checkbox') return field.required && !field.checked;
+            if (field.type === 'radio') {
+                const group = field.form && field.name ? field.form.elements.namedItem(field.name) : null;
+                const radios = group && group.length !== undefined ? Array.from(group) : [field];
+                return !radios.some(radio => radio.checked);
+            }
+            if (field.type === 'file') return !field.files || !field.files.length;
+            return field.value === '';
+        }
+
+        getEmptyFields(form) {
+            const empty = new Set();
+            Array.from(form.elements).forEach(field => {
+                if (this.isTrackableField(field) && !field.disabled && this.isFieldEmpty(field)) {
+                    empty.add(this.getFieldName(field));
+                }
+            });
+            return Array.from(empty);
+        }
+
+        abandonForm(form, formState, url = this.state.currentUrl) {
+            if (!this.options.formAbandonment) return;
+            if (!formState.started || formState.submitted || formState.abandoned) return;
+
+            formState.abandoned = true;
+            const emptyFields = form.isConnected ? this.getEmptyFields(form) : [];
+            const data = {
+                formId: formState.formId,
+                path: this.getRoutePath(url),
+                lastField: formState.lastField,
+                fieldsInteracted: formState.interacted.size,
+                timeSpentSeconds: Math.round((Date.now() - formState.startTime) / 1000)
+            };
+            if (emptyFields.length) data.emptyFieldNames = emptyFields.join(',');
+
+            this.track('form-abandon', data, 'forms');
+        }
+
+        trackFormAbandonment(url) {
+            this.formStates.forEach((formState, form) => this.abandonForm(form, formState, url));
+        }
+
+        // Media Tracking
+        setupMediaTracking() {
+            if (!this.options.autoTrackMedia) return;
+
+            this.bindElements(this.options.mediaSelector, media => this.attachMediaTracking(media));
+            this.log('Media tracking enabled');
+        }
+
+        attachMediaTracking(media) {
+            if (!['VIDEO', 'AUDIO'].includes(media.tagName)) return undefined;
+
+            const mediaState = {
+                kind: media.tagName.toLowerCase(),
+                milestones: [],
+                watchTime: 0,
+                reportedWatchTime: 0,
+                lastTime: media.currentTime || 0,
+                seekFrom: null,
+                cancelSeek: () => {}
+            };
+            this.mediaStates.set(media, mediaState);
+
+            const releases = [
+                this.addListener(media, 'play', () => this.trackMedia(media, mediaState, 'play')),
+                this.addListener(media, 'pause', () => {
+                    // Browsers fire pause right before ended; only report real pauses
+                    if (!media.ended) this.trackMedia(media, mediaState, 'pause');
+                }),
+                this.addListener(media, 'ended', () => this.trackMedia(media, mediaState, 'complete')),
+                this.addListener(media, 'timeupdate', () => this.handleMediaTimeUpdate(media, mediaState)),
+                this.addListener(media, 'seeking', () => this.handleMediaSeeking(media, mediaState)),
+                this.addListener(media, 'seeked', () => this.handleMediaSeeked(media, mediaState))
+            ];
+
+            return () => {
+                mediaState.cancelSeek();
+                this.reportMediaWatchTime(media, mediaState);
+                this.mediaStates.delete(media);
+                releases.forEach(release => release());
+            };
+        }
+
+        getMediaData(media, mediaState) {
+            const data = this.getElementData(media);
+            const duration = Number.isFinite(media.duration) ? media.duration : null;
+
+            data.mediaId = media.dataset.umamiMedia || media.id ||
+                (media.currentSrc || '').split('/').pop().split('?')[0] || mediaState.kind;
+            data.currentTime = Math.round(media.currentTime || 0);
+            if (duration) {
+                data.duration = Math.round(duration);
+                data.percent = Math.round((media.currentTime / duration) * 100);
+            }
+            data.watchTimeSeconds = Math.round(mediaState.watchTime);
+            delete data.text;
+
+            return data;
+        }
+
+        trackMedia(media, mediaState, action, extra = {}) {
+            this.track(`${mediaState.kind}-${action}`, {
+                ...this.getMediaData(media, mediaState),
+                ...extra
+            }, 'media');
+        }
+
+        handleMediaTimeUpdate(media, mediaState) {
+            const currentTime = media.currentTime;
+            const delta = currentTime - mediaState.lastTime;
+            mediaState.lastTime = currentTime;
+
+            // timeupdate fires several times a second; larger jumps are seeks, not watching
+            if (!media.paused && delta > 0 && delta < 1.5 * (media.playbackRate || 1)) {
+                mediaState.watchTime += delta;
+            }
+
+            if (!Number.isFinite(media.duration) || media.duration <= 0) return;
+
+            const percent = (currentTime / media.duration) * 100;
+            this.options.mediaProgressThresholds.forEach(threshold => {
+                if (percent >= threshold && !mediaState.milestones.includes(threshold)) {
+                    mediaState.milestones.push(threshold);
+                    this.trackMedia(media, mediaState, 'progress', {
+                        milestone: threshold,
+                        percentage: `${threshold}%`
+                    });
+                }
+            });
+        }
+
+        handleMediaSeeking(media, mediaState) {
+            if (mediaState.seekFrom === null) {
+                mediaState.seekFrom = mediaState.lastTime;
+            }
+            mediaState.cancelSeek();
+        }
+
+        handleMediaSeeked(media, mediaState) {
+            mediaState.lastTime = media.currentTime;
+            mediaState.cancelSeek();
+            mediaState.cancelSeek = this.addTimeout(() => {
+                const from = mediaState.seekFrom === null ? media.currentTime : mediaState.seekFrom;
+                mediaState.seekFrom = null;
+                this.trackMedia(media, mediaState, 'seek', {
+                    seekFrom: Math.round(from),
+                    seekTo: Math.round(media.currentTime)
+                });
+            }, this.options.mediaSeekDebounceMs);
+        }
+
+        reportMediaWatchTime(media, mediaState) {
+            const watchTime = Math.round(mediaState.watchTime);
+            if (watchTime < 1 || watchTime === mediaState.reportedWatchTime) return;
+
+            mediaState.reportedWatchTime = watchTime;
+            this.trackMedia(media, mediaState, 'watch-time', {
+                maxMilestone: Math.max(...mediaState.milestones, 0)
+            });
+        }
+
+        trackMediaWatchTime() {
+            this.mediaStates.forEach((mediaState, media) => this.reportMediaWatchTime(media, mediaState));
+        }
+
+        // Public API Methods
+
+        /**
+         * Manually track an event
+         */
+        trackEvent(eventName, eventData = {}) {
+            this.track(eventName, eventData);
+        }
+
+        /**
+         * Ecommerce events. Each takes a payload with the same schema:
+         *   items - an item or array of items: { id, name, category, brand, variant, price, quantity }
+         *   currency - ISO 4217 code, required with a value or item prices unless the currency option is set
+         *   value - defaults to the sum of price * quantity when every item has a price
+         *   transactionId - required for purchase and refund
+         *   tax, shipping, coupon - optional
+         * Items are required except for refund (a full refund needs only the transactionId).
+         * Returns false, without sending, when the payload is invalid.
+         */
+        viewItem(payload) {
+            return this.trackEcommerce('viewItem', payload);
+        }
+
+        addToCart(payload) {
+            return this.trackEcommerce('addToCart', payload);
+        }
+
+        removeFromCart(payload) {
+            return this.trackEcommerce('removeFromCart', payload);
+        }
+
+        beginCheckout(payload) {
+            return this.trackEcommerce('beginCheckout', payload);
+        }
+
+        purchase(payload) {
+            return this.trackEcommerce('purchase', payload);
+        }
+
+        refund(payload) {
+            return this.trackEcommerce('refund', payload);
+        }
+
+        /**
+         * Track form interactions: start, field focus/blur, validation errors,
+         * submissions and abandonment. A form's data-umami-form value overrides eventName.
+         */
+        trackForm(formSelector, eventName = 'form-submit') {
+            this.bindElements(formSelector, form => this.attachFormTracking(form, form.dataset.umamiForm || eventName));
+        }
+
+        /**
+         * Track clicks on links matching selector as downloads, in addition to those found by
+         * autoTrackDownloads. Clicks are handled by the delegated click listener, so links added
+         * later are covered too.
+         */
+        trackDownloads(selector = 'a[href*=".pdf"], a[href*=".zip"], a[href*=".doc"]') {
+            if (this.destroyed) return;
+            this.downloadSelectors.push(selector);
+        }
+
+        /**
+         * Track internal search queries submitted with Enter, the input's form or a search button.
+         * An input's data-umami-search value overrides eventName.
+         * Options:
+         *   searchAsYouType - also report queries once typing pauses (or data-umami-search-as-you-type on the input)
+         *   debounceMs - pause length for searchAsYouType, defaults to searchDebounceMs
+         *   resultCount - (query, input) => number or Promise<number>, to report zero-result searches
+         *   resultSelector - search result elements; clicks on them are reported with their position
+         *   buttonSelector - search buttons outside the input's form
+         */
+        trackSearch(searchInputSelector, eventName = 'internal-search', options = {}) {
+            if (this.destroyed) return;
+
+            const search = {
+                eventName,
+                searchAsYouType: false,
+                debounceMs: this.options.searchDebounceMs,
+                resultCount: null,
+                resultSelector: null,
+                buttonSelector: null,
+                ...options,
+                inputs: new Set()
+            };
+            this.searches.push(search);
+            this.bindElements(searchInputSelector, input => this.attachSearchTracking(input, search));
+        }
+
+        /**
+         * Define a funnel: an ordered list of steps, each matching an event name or a URL path.
+         *   { event: 'email-entered' }
+         *   { url: '/verify' }, { url: '/checkout/*' } or { url: /^\/order\/\d+$/ }
+         * Steps may also have a name, used in reports instead of the event or URL.
+         */
+        defineFunnel(name, steps, { timeoutMs = this.options.sessionTimeout } = {}) {
+            if (this.destroyed) return this;
+
+            const valid = typeof name === 'string' && Array.isArray(steps) && steps.length > 0 &&
+                steps.every(step => step && (typeof step.event === 'string' || typeof step.url === 'string' || step.url instanceof RegExp));
+            if (!valid) {
+                this.log(`Invalid funnel "${name}": steps need an event name or a url`);
+                return this;
+            }
+
+            const previous = this.funnels.get(name);
+            if (previous && previous.releaseTimer) previous.releaseTimer();
+
+            const funnel = { name, steps, timeoutMs, releaseTimer: null };
+            this.funnels.set(name, funnel);
+            if (this.hasConsent('funnels')) this.startFunnel(funnel);
+            return this;
+        }
+
+        /**
+         * Register the schema for an event's data, replacing any earlier one:
+         *   {
+         *     description: 'A product card was clicked',
+         *     properties: {
+         *       productId: { type: 'string', required: true, maxLength: 64 },
+         *       list: { type: 'string', enum: ['search', 'home'] },
+         *       position: { type: 'integer' }
+         *     },
+         *     additionalProperties: false // Treat keys not listed as violations
+         *   }
+         * Types are string, number, integer and boolean. Built-in events can have schemas too.
+         */
+        defineEventSchema(name, schema = {}) {
+            if (this.destroyed) return this;
+
+            const problems = typeof name === 'string' && name ? getEventSchemaProblems(schema.properties || {}) : ['a name is required'];
+            if (problems.length) {
+                this.log(`Invalid schema for "${name}": ${problems.join('; ')}`);
+                return this;
+            }
+
+            const properties = {};
+            Object.keys(schema.properties || {}).forEach(key => {
+                const { type, required, enum: values, maxLength, description } = schema.properties[key];
+                properties[key] = { type, required: Boolean(required) };
+                if (values) properties[key].enum = values.slice();
+                if (maxLength !== undefined) properties[key].maxLength = maxLength;
+                if (description) properties[key].description = description;
+            });
+
+            this.eventSchemas.set(name, {
+                description: schema.description || '',
+                properties,
+                additionalProperties: schema.additionalProperties !== false
+            });
+            return this;
+        }
+
+        /**
+         * The registered event schemas as a JSON document, e.g. for generating documentation
+         */
+        exportEventSchemas() {
+            const events = {};
+            Array.from(this.eventSchemas.keys()).sort().forEach(name => {
+                events[name] = this.eventSchemas.get(name);
+            });
+            return JSON.stringify({ events }, null, 2);
+        }
+
+        /**
+         * Get current tracking stats
+         */
+        getStats() {
+            return {
+                timeOnPage: Math.round((Date.now() - this.state.startTime) / 1000),
+                activeTime: this.getActiveSeconds(),
+                scrollDepthsReached: this.state.scrollDepthTracked,
+                maxScrollDepth: Math.max(...this.state.scrollDepthTracked, 0),
+                isIdle: this.state.isIdle,
+                elementsViewed: this.state.visibleElements.size,
+                queuedEvents: this.queue.length,
+                droppedEvents: this.volume.dropped,
+                schemaViolations: this.schemaViolations,
+                consent: this.consent.status,
+                session: this.getSessionData()
+            };
+        }
+
+        /**
+         * Cleanup and destroy tracker
+         * Removes every listener, observer and timer; the instance is inert afterwards.
+         */
+        destroy() {
+            if (this.destroyed) return;
+
+            this.runPluginHook('onDestroy');
+
+            if (this.state.heartbeatTimer) {
+                clearInterval(this.state.heartbeatTimer);
+                this.state.heartbeatTimer = null;
+            }
+
+            Array.from(this.cleanups).forEach(release => release());
+            this.destroyed = true;
+            this.visibilityObservers.clear();
+            this.mutationObserver = null;
+            this.elementBindings = [];
+            this.visibilityStates.clear();
+            this.scrollElements.clear();
+            this.formStates.clear();
+            this.mediaStates.clear();
+            this.log('UmamiTracker destroyed');
+        }
+    }
+
+    // Auto-initialize from data-umami-* attributes and/or a JSON config block
+    const autoTrackElement = document.querySelector('[data-umami-auto-track]');
+    const configBlock = document.querySelector('script[type="application/json"][data-umami-kit-config]');
+    if (autoTrackElement || configBlock) {
+        const config = loadDeclarativeConfig(autoTrackElement, configBlock);
+        if (config.options.debug) {
+            config.errors.forEach(message => console.warn(`UmamiTracker config: ${message}`));
+        }
+
+        const tracker = new UmamiTracker(config.options);
+
+        // Elements marked up for the programmatic tracking helpers
+        tracker.trackForm('form[data-umami-form]');
+        tracker.trackDownloads('a[data-umami-download]');
+        tracker.trackSearch('[data-umami-search]');
+        config.calls.forEach(({ method, selector, event, options }) => tracker[method](selector, event, options));
+
+        window.umamiTracker = tracker;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = UmamiTracker;
+    }
+
+    // AMD support
+    if (typeof define === 'function' && define.amd) {
+        define([], function () {
+            return UmamiTracker;
+        });
+    }
 
-// Global export
-window.UmamiTracker = UmamiTracker;
\ No newline at end of file
+    // Global export
+    window.UmamiTracker = UmamiTracker;
+})();
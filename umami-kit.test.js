@@ -55,6 +55,29 @@ const mockWindow = {
 global.document = mockDocument;
 global.window = mockWindow;
 
+// Install an IntersectionObserver that records its targets; intersect() reports a ratio for an element
+function mockIntersectionObserver() {
+    const observers = [];
+    window.IntersectionObserver = jest.fn((callback, options) => {
+        const observer = {
+            callback,
+            options,
+            targets: new Set(),
+            observe: jest.fn(el => observer.targets.add(el)),
+            unobserve: jest.fn(el => observer.targets.delete(el)),
+            disconnect: jest.fn(() => observer.targets.clear())
+        };
+        observers.push(observer);
+        return observer;
+    });
+
+    const intersect = (element, ratio) => observers
+        .filter(observer => observer.targets.has(element))
+        .forEach(observer => observer.callback([{ target: element, isIntersecting: ratio > 0, intersectionRatio: ratio }]));
+
+    return { observers, intersect };
+}
+
 describe('UmamiKit', () => {
     let tracker;
 
@@ -66,6 +89,10 @@ describe('UmamiKit', () => {
         
         // Reset window.scrollY for each test
         window.scrollY = 0;
+
+        // Don't let queued events persist between tests
+        localStorage.clear();
+        sessionStorage.clear();
         
         // Reset mock return values
         mockDocument.querySelectorAll.mockReturnValue([]);
@@ -447,6 +474,3177 @@ describe('UmamiKit', () => {
             
             expect(mockDocument.querySelector).toHaveBeenCalledWith('[data-umami-auto-track]');
         });
+
+        test('should only expose UmamiTracker when loaded as a plain script', () => {
+            const source = require('fs').readFileSync(require.resolve('./umami-kit'), 'utf8');
+            const Exported = window.UmamiTracker;
+
+            window.eval(source);
+
+            expect(typeof window.UmamiTracker).toBe('function');
+            expect(window.getDomPath).toBeUndefined();
+            expect(window.createTokenBucket).toBeUndefined();
+            expect(window.CONSENT_CATEGORIES).toBeUndefined();
+            expect(window.autoTrackElement).toBeUndefined();
+
+            window.UmamiTracker = Exported;
+        });
+    });
+
+    describe('SPA Route Tracking', () => {
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+        });
+
+        test('should send page-exit for the previous route on pushState', () => {
+            tracker = new UmamiTracker();
+            tracker.state.scrollDepthTracked = [25, 50];
+
+            window.history.pushState(null, '', '/next');
+
+            expect(window.umami.track).toHaveBeenCalledWith('page-exit', expect.objectContaining({
+                path: '/',
+                maxScrollDepth: 50,
+                scrollDepthsReached: 2
+            }));
+        });
+
+        test('should reset per-route state on navigation', () => {
+            tracker = new UmamiTracker();
+            tracker.state.scrollDepthTracked = [25];
+            tracker.state.visibleElements.add('hero');
+            tracker.state.isIdle = true;
+            tracker.state.startTime = Date.now() - 60000;
+
+            window.history.pushState(null, '', '/next');
+
+            expect(tracker.state.scrollDepthTracked).toEqual([]);
+            expect(tracker.state.visibleElements.size).toBe(0);
+            expect(tracker.state.isIdle).toBe(false);
+            expect(tracker.getStats().timeOnPage).toBe(0);
+        });
+
+        test('should handle popstate navigations', () => {
+            tracker = new UmamiTracker();
+            window.history.pushState(null, '', '/a');
+            window.umami.track.mockClear();
+
+            // Simulate a back navigation from /b to /a
+            tracker.state.currentUrl = 'http://localhost/b';
+            window.dispatchEvent(new PopStateEvent('popstate'));
+
+            expect(window.umami.track).toHaveBeenCalledWith('page-exit', expect.objectContaining({ path: '/b' }));
+        });
+
+        test('should ignore same-page hash changes unless hashRouting is enabled', () => {
+            tracker = new UmamiTracker();
+            window.history.pushState(null, '', '/#section');
+
+            expect(window.umami.track).not.toHaveBeenCalledWith('page-exit', expect.anything());
+            tracker.destroy();
+
+            tracker = new UmamiTracker({ hashRouting: true });
+            window.history.pushState(null, '', '/#/settings');
+
+            expect(window.umami.track).toHaveBeenCalledWith('page-exit', expect.objectContaining({ path: '/#section' }));
+        });
+
+        test('should restore history methods on destroy', () => {
+            const originalPushState = window.history.pushState;
+            tracker = new UmamiTracker();
+
+            expect(window.history.pushState).not.toBe(originalPushState);
+            tracker.destroy();
+            expect(window.history.pushState).toBe(originalPushState);
+        });
+    });
+
+    describe('Teardown', () => {
+        let observer;
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+            observer = { observe: jest.fn(), disconnect: jest.fn() };
+            window.IntersectionObserver = jest.fn(() => observer);
+            document.body.innerHTML = `
+                <form id="signup"><input name="email"></form>
+                <a id="download" href="/files/report.pdf">Report</a>
+                <input id="search">
+                <button data-umami-track="cta-click">Go</button>
+                <a id="external" href="https://external.com">Out</a>
+            `;
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.IntersectionObserver;
+            document.body.innerHTML = '';
+        });
+
+        test('should not send any events after destroy', () => {
+            tracker = new UmamiTracker({ autoTrackAllClicks: true });
+            tracker.trackForm('#signup');
+            tracker.trackDownloads();
+            tracker.trackSearch('#search');
+
+            tracker.destroy();
+
+            document.querySelector('[data-umami-track]').click();
+            document.getElementById('external').click();
+            document.getElementById('download').click();
+            document.getElementById('signup').dispatchEvent(new Event('submit'));
+            const search = document.getElementById('search');
+            search.value = 'query';
+            search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            window.dispatchEvent(new Event('beforeunload'));
+            window.dispatchEvent(new Event('scroll'));
+            window.history.pushState(null, '', '/next');
+            jest.runAllTimers();
+            tracker.trackEvent('manual');
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+
+        test('should not duplicate events when remounted', () => {
+            tracker = new UmamiTracker();
+            tracker.destroy();
+            tracker = new UmamiTracker();
+
+            document.querySelector('[data-umami-track]').click();
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('cta-click', expect.any(Object));
+        });
+
+        test('should release observers, timers and pending retries', () => {
+            tracker = new UmamiTracker();
+            const heartbeatTimer = tracker.state.heartbeatTimer;
+
+            tracker.destroy();
+
+            expect(observer.disconnect).toHaveBeenCalled();
+            expect(mockClearInterval).toHaveBeenCalledWith(heartbeatTimer);
+            expect(tracker.cleanups.size).toBe(0);
+
+            delete window.umami;
+            tracker = new UmamiTracker();
+            tracker.destroy();
+            window.umami = { track: jest.fn() };
+            jest.runAllTimers();
+
+            expect(tracker.cleanups.size).toBe(0);
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+
+        test('should ignore listeners registered after destroy', () => {
+            tracker = new UmamiTracker();
+            tracker.destroy();
+            tracker.trackForm('#signup');
+
+            document.getElementById('signup').dispatchEvent(new Event('submit'));
+
+            expect(tracker.cleanups.size).toBe(0);
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+
+        test('should be safe to call destroy twice', () => {
+            tracker = new UmamiTracker();
+            tracker.destroy();
+
+            expect(() => tracker.destroy()).not.toThrow();
+        });
+    });
+
+    describe('Dynamic DOM Tracking', () => {
+        let observer;
+
+        // Let MutationObserver callbacks run, then flush the debounced batch
+        const flushMutations = async () => {
+            await Promise.resolve();
+            jest.runOnlyPendingTimers();
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            observer = { observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+            window.IntersectionObserver = jest.fn(() => observer);
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.IntersectionObserver;
+            document.body.innerHTML = '';
+        });
+
+        test('should not keep a binding with an invalid selector', async () => {
+            tracker = new UmamiTracker();
+            const bindings = tracker.elementBindings.length;
+
+            expect(() => tracker.trackForm('form[')).toThrow();
+            expect(tracker.elementBindings).toHaveLength(bindings);
+
+            tracker.trackForm('#f2');
+            document.body.insertAdjacentHTML('beforeend', '<form id="f2"><input name="email"></form>');
+            await flushMutations();
+
+            expect(tracker.formStates.size).toBe(1);
+        });
+
+        test('should keep updating other bindings when one fails', async () => {
+            tracker = new UmamiTracker();
+            tracker.bindElements('.broken', () => {
+                throw new Error('attach failed');
+            });
+            tracker.trackForm('#f3');
+
+            document.body.insertAdjacentHTML('beforeend', '<div class="broken"></div><form id="f3"><input name="email"></form>');
+            await flushMutations();
+
+            expect(tracker.formStates.size).toBe(1);
+        });
+
+        test('should observe visibility elements added after init', async () => {
+            tracker = new UmamiTracker();
+            const section = document.createElement('section');
+            section.dataset.umamiVisible = 'pricing-viewed';
+            document.body.appendChild(section);
+
+            await flushMutations();
+
+            expect(observer.observe).toHaveBeenCalledWith(section);
+        });
+
+        test('should unobserve visibility elements when removed', async () => {
+            document.body.innerHTML = '<div id="wrapper"><section data-umami-visible></section></div>';
+            tracker = new UmamiTracker();
+            const section = document.querySelector('section');
+
+            document.getElementById('wrapper').remove();
+            await flushMutations();
+
+            expect(observer.unobserve).toHaveBeenCalledWith(section);
+            expect(tracker.visibilityBinding.elements.size).toBe(0);
+        });
+
+        test('should track forms, downloads and search inputs rendered later', async () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('.contact-form');
+            tracker.trackDownloads();
+            tracker.trackSearch('#search');
+
+            document.body.innerHTML = `
+                <form class="contact-form" id="contact"></form>
+                <a href="/files/report.pdf">Report</a>
+                <input id="search" value="pricing">
+            `;
+            await flushMutations();
+
+            document.getElementById('contact').dispatchEvent(new Event('submit'));
+            document.querySelector('a').click();
+            document.getElementById('search').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+            expect(window.umami.track).toHaveBeenCalledWith('form-submit', expect.objectContaining({ formId: 'contact' }));
+            expect(window.umami.track).toHaveBeenCalledWith('download', expect.objectContaining({ filename: 'report.pdf' }));
+            expect(window.umami.track).toHaveBeenCalledWith('internal-search', expect.objectContaining({ query: 'pricing' }));
+        });
+
+        test('should detach listeners from removed elements', async () => {
+            document.body.innerHTML = '<form class="contact-form"></form>';
+            tracker = new UmamiTracker();
+            const cleanupsBefore = tracker.cleanups.size;
+            tracker.trackForm('.contact-form');
+            const form = document.querySelector('form');
+
+            form.remove();
+            await flushMutations();
+            form.dispatchEvent(new Event('submit'));
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.cleanups.size).toBe(cleanupsBefore);
+        });
+
+        test('should fall back to a single rescan for large updates', async () => {
+            tracker = new UmamiTracker({ maxMutationNodes: 5 });
+            const matchesSpy = jest.spyOn(Element.prototype, 'matches');
+
+            const fragment = document.createDocumentFragment();
+            for (let i = 0; i < 20; i++) {
+                const div = document.createElement('div');
+                if (i % 2) div.dataset.umamiVisible = '';
+                fragment.appendChild(div);
+            }
+            document.body.appendChild(fragment);
+            await flushMutations();
+
+            expect(matchesSpy).not.toHaveBeenCalled();
+            expect(tracker.visibilityBinding.elements.size).toBe(10);
+            matchesSpy.mockRestore();
+        });
+
+        test('should not watch the DOM when observeDomChanges is disabled', () => {
+            tracker = new UmamiTracker({ observeDomChanges: false });
+
+            expect(tracker.mutationObserver).toBeNull();
+        });
+    });
+
+    describe('Offline Event Queue', () => {
+        beforeEach(() => {
+            jest.clearAllTimers();
+            delete window.umami;
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+        });
+
+        test('should queue events until Umami loads and flush them in order', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('first', { n: 1 });
+            tracker.trackEvent('second', { n: 2 });
+
+            expect(tracker.getStats().queuedEvents).toBe(2);
+
+            window.umami = { track: jest.fn() };
+            jest.advanceTimersByTime(100);
+
+            expect(window.umami.track.mock.calls).toEqual([
+                ['first', { n: 1 }],
+                ['second', { n: 2 }]
+            ]);
+            expect(tracker.getStats().queuedEvents).toBe(0);
+        });
+
+        test('should set up page tracking before Umami loads', () => {
+            tracker = new UmamiTracker();
+            tracker.state.scrollDepthTracked = [25];
+
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(tracker.queue.map(item => item.event)).toEqual(['page-exit']);
+        });
+
+        test('should persist queued events and restore them on the next load', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('before-reload');
+            tracker.destroy();
+
+            expect(JSON.parse(localStorage.getItem('umami-kit-queue'))).toHaveLength(1);
+
+            window.umami = { track: jest.fn() };
+            tracker = new UmamiTracker();
+
+            expect(window.umami.track).toHaveBeenCalledWith('before-reload', {});
+            expect(localStorage.getItem('umami-kit-queue')).toBeNull();
+        });
+
+        test('should replay queued events with the URL they were recorded on', () => {
+            window.history.replaceState(null, '', '/old-page?ref=mail');
+            tracker = new UmamiTracker();
+            tracker.trackEvent('queued', { n: 1 });
+            window.dispatchEvent(new Event('beforeunload'));
+            tracker.destroy();
+
+            window.history.replaceState(null, '', '/new-page');
+            window.umami = { track: jest.fn() };
+            tracker = new UmamiTracker();
+
+            const replayed = window.umami.track.mock.calls.map(([payload]) => payload({ hostname: 'localhost', url: 'http://localhost/new-page' }));
+            expect(replayed).toEqual([
+                { hostname: 'localhost', url: 'http://localhost/old-page?ref=mail', name: 'queued', data: { n: 1 } },
+                expect.objectContaining({ url: 'http://localhost/old-page?ref=mail', name: 'page-exit' })
+            ]);
+
+            tracker.trackEvent('live');
+            expect(window.umami.track).toHaveBeenLastCalledWith('live', {});
+        });
+
+        test('should keep new events behind queued ones when Umami becomes available', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('queued');
+
+            window.umami = { track: jest.fn() };
+            tracker.trackEvent('live');
+
+            expect(window.umami.track.mock.calls.map(call => call[0])).toEqual(['queued', 'live']);
+        });
+
+        test('should drop the oldest events beyond queueMaxSize', () => {
+            tracker = new UmamiTracker({ queueMaxSize: 2 });
+            tracker.trackEvent('a');
+            tracker.trackEvent('b');
+            tracker.trackEvent('c');
+
+            expect(tracker.queue.map(item => item.event)).toEqual(['b', 'c']);
+        });
+
+        test('should discard events older than queueMaxAge', () => {
+            localStorage.setItem('umami-kit-queue', JSON.stringify([
+                { event: 'stale', data: {}, timestamp: Date.now() - 120000 },
+                { event: 'fresh', data: {}, timestamp: Date.now() }
+            ]));
+            window.umami = { track: jest.fn() };
+
+            tracker = new UmamiTracker({ queueMaxAge: 60000 });
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('fresh', {});
+        });
+
+        test('should retry failed sends with exponential backoff', () => {
+            window.umami = { track: jest.fn(() => { throw new Error('blocked'); }) };
+            tracker = new UmamiTracker({ queueRetryBaseMs: 1000 });
+
+            tracker.trackEvent('retry-me');
+            expect(tracker.queue).toHaveLength(1);
+
+            const calls = () => window.umami.track.mock.calls.length;
+            const afterFirst = calls();
+            jest.advanceTimersByTime(1000);
+            expect(calls()).toBe(afterFirst + 1);
+            jest.advanceTimersByTime(1000);
+            expect(calls()).toBe(afterFirst + 1);
+            jest.advanceTimersByTime(1000);
+            expect(calls()).toBe(afterFirst + 2);
+
+            window.umami.track.mockImplementation(() => {});
+            jest.advanceTimersByTime(4000);
+            expect(tracker.queue).toHaveLength(0);
+        });
+
+        test('should drop events when queueing is disabled', () => {
+            tracker = new UmamiTracker({ queueEvents: false });
+            tracker.trackEvent('dropped');
+
+            expect(tracker.queue).toHaveLength(0);
+            expect(localStorage.getItem('umami-kit-queue')).toBeNull();
+        });
+    });
+
+    describe('Transports', () => {
+        const beaconBody = (call) => JSON.parse(call[1]);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            delete window.umami;
+            window.history.replaceState(null, '', '/');
+            navigator.sendBeacon = jest.fn(() => true);
+        });
+
+        afterEach(() => {
+            delete navigator.sendBeacon;
+            delete global.fetch;
+            document.head.innerHTML = '';
+        });
+
+        test('should post the Umami collector payload with sendBeacon', () => {
+            tracker = new UmamiTracker({
+                transport: 'beacon',
+                hostUrl: 'https://analytics.example.com/',
+                websiteId: 'site-123'
+            });
+
+            tracker.trackEvent('signup', { plan: 'pro' });
+
+            const call = navigator.sendBeacon.mock.calls.find(c => beaconBody(c).payload.name === 'signup');
+            expect(call[0]).toBe('https://analytics.example.com/api/send');
+            expect(beaconBody(call)).toEqual({
+                type: 'event',
+                payload: expect.objectContaining({
+                    website: 'site-123',
+                    hostname: 'localhost',
+                    url: '/',
+                    language: navigator.language,
+                    name: 'signup',
+                    data: { plan: 'pro' }
+                })
+            });
+        });
+
+        test('should read host and website id from the Umami script tag', () => {
+            document.head.innerHTML = '<script src="https://stats.example.org/script.js" data-website-id="from-script"></script>';
+
+            tracker = new UmamiTracker({ transport: 'beacon' });
+            tracker.trackEvent('hello');
+
+            expect(tracker.transport.endpoint).toBe('https://stats.example.org/api/send');
+            expect(beaconBody(navigator.sendBeacon.mock.calls[0]).payload.website).toBe('from-script');
+        });
+
+        test('should send page-exit through the beacon without the Umami script', () => {
+            tracker = new UmamiTracker({ transport: 'beacon', hostUrl: 'https://a.example.com', websiteId: 'w' });
+
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+            expect(beaconBody(navigator.sendBeacon.mock.calls[0]).payload.name).toBe('page-exit');
+        });
+
+        test('should fall back to fetch with keepalive', async () => {
+            delete navigator.sendBeacon;
+            global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+
+            tracker = new UmamiTracker({ transport: 'beacon', hostUrl: 'https://a.example.com', websiteId: 'w' });
+            tracker.trackEvent('fetched');
+            await Promise.resolve();
+
+            expect(global.fetch).toHaveBeenCalledWith('https://a.example.com/api/send', expect.objectContaining({
+                method: 'POST',
+                keepalive: true
+            }));
+            expect(tracker.queue).toHaveLength(0);
+        });
+
+        test('should requeue events the collector rejects', async () => {
+            delete navigator.sendBeacon;
+            global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 503 }));
+
+            tracker = new UmamiTracker({ transport: 'beacon', hostUrl: 'https://a.example.com', websiteId: 'w' });
+            tracker.trackEvent('rejected');
+            await new Promise(jest.requireActual('timers').setImmediate);
+
+            expect(tracker.queue.map(item => item.event)).toEqual(['rejected']);
+
+            global.fetch.mockImplementation(() => Promise.resolve({ ok: true }));
+            jest.advanceTimersByTime(1000);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should queue events while the beacon is not configured', () => {
+            tracker = new UmamiTracker({ transport: 'beacon' });
+            tracker.trackEvent('waiting');
+
+            expect(navigator.sendBeacon).not.toHaveBeenCalled();
+            expect(tracker.queue).toHaveLength(1);
+        });
+
+        test('should accept a custom transport object', () => {
+            const transport = { isReady: () => true, send: jest.fn() };
+
+            tracker = new UmamiTracker({ transport });
+            tracker.trackEvent('custom', { a: 1 });
+
+            expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+                event: 'custom',
+                data: { a: 1 },
+                url: 'http://localhost/'
+            }));
+        });
+    });
+
+    describe('Consent Management', () => {
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            document.body.innerHTML = '<button data-umami-track="cta-click">Go</button>';
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete navigator.doNotTrack;
+            delete navigator.globalPrivacyControl;
+            document.body.innerHTML = '';
+        });
+
+        test('should track nothing until consent is granted', () => {
+            tracker = new UmamiTracker({ requireConsent: true });
+            tracker.trackEvent('early');
+            document.querySelector('button').click();
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.getStats().consent).toBe('pending');
+
+            tracker.grantConsent();
+            tracker.trackEvent('late');
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('late', {});
+        });
+
+        test('should replay held events once consent is granted', () => {
+            tracker = new UmamiTracker({ requireConsent: true, queueUntilConsent: true });
+            tracker.trackEvent('held');
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+
+            tracker.grantConsent();
+
+            expect(window.umami.track).toHaveBeenCalledWith('held', {});
+        });
+
+        test('should only collect granted categories', () => {
+            tracker = new UmamiTracker({ requireConsent: true, queueUntilConsent: true });
+            document.querySelector('button').click();
+            tracker.track('scroll-depth', { depth: 25 }, 'scroll');
+
+            tracker.grantConsent(['scroll']);
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('scroll-depth', { depth: 25 });
+            expect(tracker.hasConsent('scroll')).toBe(true);
+            expect(tracker.hasConsent('clicks')).toBe(false);
+        });
+
+        test('should stop collection and discard queued events on revoke', () => {
+            tracker = new UmamiTracker({ requireConsent: true, queueUntilConsent: true });
+            tracker.trackEvent('held');
+            tracker.revokeConsent();
+            tracker.grantConsent();
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+
+            delete window.umami;
+            tracker.trackEvent('offline');
+            expect(tracker.queue).toHaveLength(1);
+
+            tracker.revokeConsent();
+            tracker.trackEvent('after-revoke');
+
+            expect(tracker.queue).toHaveLength(0);
+            expect(localStorage.getItem('umami-kit-queue')).toBeNull();
+        });
+
+        test('should revoke individual categories', () => {
+            tracker = new UmamiTracker();
+            tracker.revokeConsent('clicks');
+
+            document.querySelector('button').click();
+            tracker.trackEvent('manual');
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('manual', {});
+        });
+
+        test('should need the custom category for uncategorised events', () => {
+            tracker = new UmamiTracker({ requireConsent: true, currency: 'EUR' });
+
+            tracker.grantConsent(['scroll']);
+            tracker.trackEvent('custom');
+            tracker.purchase({ transactionId: 'T-1', items: [{ id: 'A', price: 5 }] });
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.hasConsent()).toBe(false);
+            expect(tracker.hasConsent('scroll')).toBe(true);
+            expect(sessionStorage.getItem('umami-kit-session')).toBeNull();
+
+            tracker.grantConsent(['custom']);
+            tracker.trackEvent('custom');
+            expect(window.umami.track).toHaveBeenCalledWith('custom', {});
+        });
+
+        test('should deny everything once every category is revoked', () => {
+            tracker = new UmamiTracker({ requireConsent: true });
+            tracker.grantConsent(['clicks', 'custom']);
+
+            tracker.revokeConsent('clicks');
+            tracker.revokeConsent(['custom']);
+            tracker.trackEvent('after-revoke');
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.getStats().consent).toBe('denied');
+        });
+
+        test('should ignore grants with no known category', () => {
+            tracker = new UmamiTracker({ requireConsent: true });
+
+            tracker.grantConsent(['marketing']);
+            tracker.trackEvent('custom');
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.getStats().consent).toBe('pending');
+        });
+
+        test.each([
+            ['doNotTrack', '1'],
+            ['globalPrivacyControl', true]
+        ])('should honour navigator.%s', (property, value) => {
+            Object.defineProperty(navigator, property, { value, configurable: true });
+
+            tracker = new UmamiTracker();
+            tracker.grantConsent();
+            tracker.trackEvent('blocked');
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(tracker.getStats().consent).toBe('denied');
+        });
+
+        test('should ignore privacy signals when respectDoNotTrack is disabled', () => {
+            Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+
+            tracker = new UmamiTracker({ respectDoNotTrack: false });
+            tracker.trackEvent('allowed');
+
+            expect(window.umami.track).toHaveBeenCalledWith('allowed', {});
+        });
+    });
+
+    describe('PII Scrubbing', () => {
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        const sentData = () => window.umami.track.mock.calls[0][1];
+
+        test('should redact emails from search queries', () => {
+            document.body.innerHTML = '<input id="search" value="Jane.Doe@example.com orders">';
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#search');
+
+            document.getElementById('search').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+            expect(sentData().query).toBe('[redacted] orders');
+        });
+
+        test('should redact phone numbers, card numbers and UUIDs', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('contact', {
+                phone: 'Call +1 (555) 123-4567',
+                card: '4111 1111 1111 1111',
+                order: 'id 123e4567-e89b-12d3-a456-426614174000'
+            });
+
+            expect(sentData()).toEqual({
+                phone: 'Call [redacted]',
+                card: '[redacted]',
+                order: 'id [redacted]'
+            });
+        });
+
+        test('should leave dates, prices and non-Luhn digit runs alone', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('order', { date: '2024-01-15', price: '19.99', sku: '1234567890123', count: 4111111111111111 });
+
+            expect(sentData()).toEqual({ date: '2024-01-15', price: '19.99', sku: '1234567890123', count: 4111111111111111 });
+        });
+
+        test('should send non-object event data as an empty object', () => {
+            tracker = new UmamiTracker();
+
+            tracker.trackEvent('null-data', null);
+            tracker.trackEvent('string-data', 'oops');
+            tracker.trackEvent('array-data', ['a']);
+
+            expect(window.umami.track.mock.calls).toEqual([['null-data', {}], ['string-data', {}], ['array-data', {}]]);
+        });
+
+        test('should leave plain numeric IDs and timestamps alone', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('order', {
+                ts: '1718000000',
+                sku: 'SKU-55512345',
+                orderId: 'ORD-20241015',
+                itemId: '100045678',
+                reference: '555123456789'
+            });
+
+            expect(sentData()).toEqual({
+                ts: '1718000000',
+                sku: 'SKU-55512345',
+                orderId: 'ORD-20241015',
+                itemId: '100045678',
+                reference: '555123456789'
+            });
+        });
+
+        test('should redact phone numbers written with a prefix, brackets or separators', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('contact', {
+                international: '+44 20 7946 0958',
+                compact: 'tel +15550100123',
+                brackets: '(555) 123 4567',
+                dashes: 'call 555-123-4567 today',
+                dots: '555.123.4567'
+            });
+
+            expect(sentData()).toEqual({
+                international: '[redacted]',
+                compact: 'tel [redacted]',
+                brackets: '[redacted]',
+                dashes: 'call [redacted] today',
+                dots: '[redacted]'
+            });
+        });
+
+        test('should strip denylisted query params from URLs', () => {
+            tracker = new UmamiTracker();
+            tracker.trackEvent('link', {
+                href: 'https://example.com/reset?token=abc123&utm_source=mail',
+                path: '/login?session=xyz&next=%2Fhome'
+            });
+
+            expect(sentData()).toEqual({
+                href: 'https://example.com/reset?utm_source=mail',
+                path: '/login?next=%2Fhome'
+            });
+        });
+
+        test('should keep only allowlisted query params when an allowlist is set', () => {
+            tracker = new UmamiTracker({ urlParamAllowlist: ['page'] });
+            tracker.trackEvent('link', { url: 'https://example.com/list?page=2&ref=abc' });
+
+            expect(sentData().url).toBe('https://example.com/list?page=2');
+        });
+
+        test('should scrub the page URL passed to transports', () => {
+            const transport = { isReady: () => true, send: jest.fn() };
+            window.history.replaceState(null, '', '/account?token=secret&tab=billing');
+
+            tracker = new UmamiTracker({ transport });
+            tracker.trackEvent('view');
+
+            expect(transport.send.mock.calls[0][0].url).toBe('http://localhost/account?tab=billing');
+        });
+
+        test('should apply custom redactors and drop keys they clear', () => {
+            tracker = new UmamiTracker({
+                redactors: [
+                    (value, { key }) => key === 'name' ? undefined : value,
+                    value => value.replace(/ACME-\d+/g, 'ACME-*')
+                ]
+            });
+            tracker.trackEvent('signup', { name: 'Jane', account: 'ACME-42' });
+
+            expect(sentData()).toEqual({ account: 'ACME-*' });
+        });
+
+        test('should send data untouched when scrubbing is disabled', () => {
+            tracker = new UmamiTracker({ scrubPII: false });
+            tracker.trackEvent('raw', { email: 'jane@example.com' });
+
+            expect(sentData()).toEqual({ email: 'jane@example.com' });
+        });
+    });
+
+    describe('Plugins', () => {
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should let beforeTrack rename events and change data', () => {
+            tracker = new UmamiTracker({
+                plugins: [{
+                    name: 'enrich',
+                    beforeTrack: (event) => {
+                        event.data = { ...event.data, release: '1.2.0' };
+                        return { name: `app:${event.name}` };
+                    }
+                }]
+            });
+
+            tracker.trackEvent('signup', { plan: 'pro' });
+
+            expect(window.umami.track).toHaveBeenCalledWith('app:signup', { plan: 'pro', release: '1.2.0' });
+        });
+
+        test('should cancel events when beforeTrack returns false', () => {
+            tracker = new UmamiTracker().use({
+                beforeTrack: (event) => (event.name === 'noise' ? false : undefined)
+            });
+
+            tracker.trackEvent('noise');
+            tracker.trackEvent('signal');
+
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+            expect(window.umami.track).toHaveBeenCalledWith('signal', {});
+        });
+
+        test('should call afterTrack with the delivered event', () => {
+            const afterTrack = jest.fn();
+            tracker = new UmamiTracker().use({ afterTrack });
+
+            tracker.trackEvent('contact', { email: 'jane@example.com' });
+
+            expect(afterTrack).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'contact',
+                data: { email: '[redacted]' },
+                category: null
+            }), tracker);
+        });
+
+        test('should run setup and onInit, and clean up plugin resources on destroy', () => {
+            document.body.innerHTML = '<video data-player></video>';
+            const onDestroy = jest.fn();
+            const videoPlugin = {
+                name: 'video',
+                setup(kit) {
+                    kit.bindElements('video[data-player]', video => kit.addListener(video, 'play', () => {
+                        kit.track('video-play', kit.getElementData(video));
+                    }));
+                },
+                onInit: jest.fn(),
+                onDestroy
+            };
+
+            tracker = new UmamiTracker({ plugins: [videoPlugin] });
+            const video = document.querySelector('video');
+            video.dispatchEvent(new Event('play'));
+
+            expect(videoPlugin.onInit).toHaveBeenCalledWith(tracker);
+            expect(window.umami.track).toHaveBeenCalledWith('video-play', expect.objectContaining({ element: 'video' }));
+
+            tracker.destroy();
+            video.dispatchEvent(new Event('play'));
+
+            expect(onDestroy).toHaveBeenCalledWith(tracker);
+            expect(window.umami.track).toHaveBeenCalledTimes(1);
+        });
+
+        test('should set up plugins registered after initialization', () => {
+            const setup = jest.fn();
+            tracker = new UmamiTracker();
+
+            tracker.use({ name: 'late', setup });
+
+            expect(setup).toHaveBeenCalledWith(tracker);
+        });
+
+        test('should ignore duplicate plugin names', () => {
+            const setup = jest.fn();
+            tracker = new UmamiTracker();
+
+            tracker.use({ name: 'once', setup }).use({ name: 'once', setup });
+
+            expect(setup).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep tracking when a plugin throws', () => {
+            tracker = new UmamiTracker().use({
+                name: 'broken',
+                beforeTrack: () => { throw new Error('boom'); }
+            });
+
+            tracker.trackEvent('still-sent');
+
+            expect(console.warn).toHaveBeenCalledWith('UmamiTracker: plugin "broken" failed in beforeTrack', expect.any(Error));
+            expect(window.umami.track).toHaveBeenCalledWith('still-sent', {});
+        });
+    });
+
+    describe('Form Analytics', () => {
+        const focus = (el) => el.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        const blur = (el) => el.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        const eventsNamed = (name) => window.umami.track.mock.calls.filter(call => call[0] === name);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+            document.body.innerHTML = `
+                <form id="signup">
+                    <input name="email" type="email" required>
+                    <input name="company">
+                    <input type="radio" name="plan" value="free">
+                    <input type="radio" name="plan" value="pro">
+                    <button type="submit">Sign up</button>
+                </form>
+            `;
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete document.visibilityState;
+            document.body.innerHTML = '';
+        });
+
+        test('should track form start once, on the first field focus', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const form = document.getElementById('signup');
+
+            focus(form.elements.email);
+            focus(form.elements.company);
+
+            expect(eventsNamed('form-start')).toEqual([
+                ['form-start', { formId: 'signup', field: 'email' }]
+            ]);
+        });
+
+        test('should track field focus and blur with time spent but never values', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const email = document.querySelector('[name="email"]');
+            email.value = 'jane@example.com';
+
+            focus(email);
+            jest.advanceTimersByTime(2500);
+            blur(email);
+
+            expect(eventsNamed('form-field-focus')[0][1]).toEqual({ formId: 'signup', field: 'email', fieldType: 'email' });
+            expect(eventsNamed('form-field-blur')[0][1]).toEqual({
+                formId: 'signup',
+                field: 'email',
+                fieldType: 'email',
+                timeSpentMs: 2500,
+                empty: false
+            });
+            expect(JSON.stringify(window.umami.track.mock.calls)).not.toContain('jane');
+        });
+
+        test('should skip field events when formFieldEvents is disabled', () => {
+            tracker = new UmamiTracker({ formFieldEvents: false });
+            tracker.trackForm('#signup');
+
+            focus(document.querySelector('[name="email"]'));
+
+            expect(eventsNamed('form-start')).toHaveLength(1);
+            expect(eventsNamed('form-field-focus')).toHaveLength(0);
+        });
+
+        test('should report HTML5 validation errors', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const email = document.querySelector('[name="email"]');
+
+            document.getElementById('signup').checkValidity();
+            email.value = 'not-an-email';
+            email.checkValidity();
+
+            expect(eventsNamed('form-invalid').map(call => call[1])).toEqual([
+                { formId: 'signup', field: 'email', fieldType: 'email', error: 'valueMissing' },
+                { formId: 'signup', field: 'email', fieldType: 'email', error: 'typeMismatch' }
+            ]);
+        });
+
+        test('should report empty fields on submit', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const form = document.getElementById('signup');
+            form.elements.email.value = 'jane@example.com';
+
+            focus(form.elements.email);
+            form.dispatchEvent(new Event('submit'));
+
+            expect(eventsNamed('form-submit')[0][1]).toEqual({
+                formId: 'signup',
+                fields: 2,
+                emptyFields: 2,
+                emptyFieldNames: 'company,plan',
+                fieldsInteracted: 1,
+                timeToSubmitSeconds: 0
+            });
+        });
+
+        test('should report abandonment on page exit', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+
+            focus(document.querySelector('[name="company"]'));
+            window.dispatchEvent(new Event('beforeunload'));
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('form-abandon')).toEqual([
+                ['form-abandon', expect.objectContaining({
+                    formId: 'signup',
+                    path: '/',
+                    lastField: 'company',
+                    fieldsInteracted: 1,
+                    emptyFieldNames: 'email,company,plan'
+                })]
+            ]);
+            const names = window.umami.track.mock.calls.map(call => call[0]);
+            expect(names.indexOf('form-abandon')).toBeLessThan(names.indexOf('page-exit'));
+        });
+
+        test('should not treat switching tabs as abandonment', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const form = document.getElementById('signup');
+
+            focus(form.elements.email);
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            form.dispatchEvent(new Event('submit'));
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(eventsNamed('form-abandon')).toHaveLength(0);
+            expect(eventsNamed('form-submit')).toHaveLength(1);
+        });
+
+        test('should report abandonment on pagehide after the page was hidden', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+
+            focus(document.querySelector('[name="company"]'));
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            expect(eventsNamed('form-abandon')).toHaveLength(0);
+
+            window.dispatchEvent(new Event('pagehide'));
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('form-abandon')).toEqual([['form-abandon', expect.objectContaining({ lastField: 'company' })]]);
+        });
+
+        test('should report abandonment on route change and start fresh on the new route', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const email = document.querySelector('[name="email"]');
+
+            focus(email);
+            window.history.pushState(null, '', '/pricing');
+
+            expect(eventsNamed('form-abandon')[0][1]).toEqual(expect.objectContaining({ path: '/' }));
+
+            focus(email);
+            expect(eventsNamed('form-start')).toHaveLength(2);
+        });
+
+        test('should not report abandonment for submitted forms', () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+            const form = document.getElementById('signup');
+
+            focus(form.elements.email);
+            form.dispatchEvent(new Event('submit'));
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('form-abandon')).toHaveLength(0);
+        });
+
+        test('should report abandonment when a started form is removed', async () => {
+            tracker = new UmamiTracker();
+            tracker.trackForm('#signup');
+
+            focus(document.querySelector('[name="email"]'));
+            document.getElementById('signup').remove();
+            await Promise.resolve();
+            jest.runOnlyPendingTimers();
+
+            expect(eventsNamed('form-abandon')).toHaveLength(1);
+        });
+    });
+
+    describe('Media Tracking', () => {
+        let video;
+        let media;
+
+        // jsdom has no media playback, so drive the element state by hand
+        const setMediaState = (el, state) => {
+            Object.entries(state).forEach(([key, value]) => {
+                Object.defineProperty(el, key, { value, configurable: true, writable: true });
+            });
+        };
+        const play = (time) => {
+            setMediaState(video, { paused: false, currentTime: time });
+            video.dispatchEvent(new Event('timeupdate'));
+        };
+        const eventsNamed = (name) => window.umami.track.mock.calls.filter(call => call[0] === name);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            document.body.innerHTML = `
+                <video data-umami-media="intro-video" data-umami-data-campaign="spring"></video>
+                <audio id="podcast" data-umami-media></audio>
+                <video id="untracked"></video>
+            `;
+            video = document.querySelector('video');
+            media = document.querySelector('audio');
+            setMediaState(video, { duration: 100, currentTime: 0, paused: true, ended: false, playbackRate: 1 });
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should track play and pause with media identifiers', () => {
+            tracker = new UmamiTracker();
+
+            video.dispatchEvent(new Event('play'));
+            setMediaState(video, { currentTime: 30 });
+            video.dispatchEvent(new Event('pause'));
+            media.dispatchEvent(new Event('play'));
+
+            expect(eventsNamed('video-play')[0][1]).toEqual(expect.objectContaining({
+                mediaId: 'intro-video',
+                campaign: 'spring',
+                element: 'video',
+                duration: 100,
+                currentTime: 0
+            }));
+            expect(eventsNamed('video-pause')[0][1]).toEqual(expect.objectContaining({ currentTime: 30, percent: 30 }));
+            expect(eventsNamed('audio-play')[0][1]).toEqual(expect.objectContaining({ mediaId: 'podcast' }));
+        });
+
+        test('should only track elements marked with data-umami-media', () => {
+            tracker = new UmamiTracker();
+
+            document.getElementById('untracked').dispatchEvent(new Event('play'));
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+
+        test('should track progress milestones once each', () => {
+            tracker = new UmamiTracker({ mediaProgressThresholds: [25, 50] });
+
+            play(0.5);
+            for (let t = 1; t <= 60; t++) play(t);
+            play(30);
+            play(60);
+
+            expect(eventsNamed('video-progress').map(call => call[1].milestone)).toEqual([25, 50]);
+        });
+
+        test('should accumulate watch time excluding seeks and report it on exit', () => {
+            tracker = new UmamiTracker();
+
+            for (let t = 1; t <= 10; t++) play(t);
+            play(80);
+            play(81);
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('video-watch-time')[0][1]).toEqual(expect.objectContaining({
+                mediaId: 'intro-video',
+                watchTimeSeconds: 11,
+                maxMilestone: 75
+            }));
+        });
+
+        test('should report a scrub through the timeline as one seek', () => {
+            tracker = new UmamiTracker();
+            play(10);
+
+            video.dispatchEvent(new Event('seeking'));
+            [20, 40, 55].forEach(time => {
+                setMediaState(video, { currentTime: time });
+                video.dispatchEvent(new Event('seeked'));
+                jest.advanceTimersByTime(100);
+            });
+            jest.advanceTimersByTime(500);
+
+            expect(eventsNamed('video-seek').map(call => [call[1].seekFrom, call[1].seekTo])).toEqual([[10, 55]]);
+        });
+
+        test('should track completion without a preceding pause', () => {
+            tracker = new UmamiTracker();
+
+            setMediaState(video, { currentTime: 100, ended: true, paused: true });
+            video.dispatchEvent(new Event('pause'));
+            video.dispatchEvent(new Event('ended'));
+
+            expect(eventsNamed('video-pause')).toHaveLength(0);
+            expect(eventsNamed('video-complete')).toHaveLength(1);
+        });
+
+        test('should not track media when autoTrackMedia is disabled', () => {
+            tracker = new UmamiTracker({ autoTrackMedia: false });
+
+            video.dispatchEvent(new Event('play'));
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Element Scroll Depth', () => {
+        const setLayout = (el, props) => {
+            Object.entries(props).forEach(([key, value]) => {
+                Object.defineProperty(el, key, { value, configurable: true, writable: true });
+            });
+        };
+        const scroll = (target) => {
+            target.dispatchEvent(new Event('scroll'));
+            jest.advanceTimersByTime(100);
+        };
+        const depthsFor = (name) => window.umami.track.mock.calls
+            .filter(call => call[0] === name)
+            .map(call => call[1].depth);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should measure scroll depth inside overflow containers', () => {
+            document.body.innerHTML = '<div id="feed" style="overflow: auto" data-umami-scroll-container="feed-scroll"></div>';
+            const feed = document.getElementById('feed');
+            setLayout(feed, { scrollHeight: 1100, clientHeight: 100, scrollTop: 0 });
+            tracker = new UmamiTracker();
+
+            feed.scrollTop = 500;
+            scroll(feed);
+
+            expect(depthsFor('feed-scroll')).toEqual([25, 50]);
+            expect(window.umami.track).toHaveBeenCalledWith('feed-scroll', expect.objectContaining({
+                id: 'feed',
+                percentage: '50%',
+                pixels: 500
+            }));
+            expect(window.umami.track).not.toHaveBeenCalledWith('scroll-depth', expect.anything());
+        });
+
+        test('should use per-element thresholds and state', () => {
+            document.body.innerHTML = `
+                <div id="a" data-umami-scroll-container data-umami-scroll-mode="container" data-umami-scroll-thresholds="10,100"></div>
+                <div id="b" data-umami-scroll-container data-umami-scroll-mode="container"></div>
+            `;
+            const a = document.getElementById('a');
+            const b = document.getElementById('b');
+            setLayout(a, { scrollHeight: 200, clientHeight: 100, scrollTop: 100 });
+            setLayout(b, { scrollHeight: 200, clientHeight: 100, scrollTop: 30 });
+            tracker = new UmamiTracker();
+
+            scroll(a);
+            scroll(a);
+            scroll(b);
+
+            const calls = window.umami.track.mock.calls.filter(call => call[0] === 'element-scroll-depth');
+            expect(calls.map(call => [call[1].id, call[1].depth])).toEqual([
+                ['a', 10], ['a', 100], ['b', 25]
+            ]);
+        });
+
+        test('should report reading progress through an article, not the viewport', () => {
+            document.body.innerHTML = '<article id="post"></article>';
+            const article = document.getElementById('post');
+            tracker = new UmamiTracker({ scrollArticleSelector: 'article' });
+
+            // Article starts 600px down and is 1000px tall; viewport is 768px high
+            article.getBoundingClientRect = () => ({ top: 600 - window.scrollY, height: 1000 });
+            window.scrollY = 400;
+            scroll(window);
+
+            expect(depthsFor('element-scroll-depth')).toEqual([25, 50]);
+            expect(window.umami.track).toHaveBeenCalledWith('element-scroll-depth', expect.objectContaining({
+                id: 'post',
+                pixels: 568
+            }));
+        });
+
+        test('should reset element scroll state on route change', () => {
+            document.body.innerHTML = '<div id="feed" data-umami-scroll-container data-umami-scroll-mode="container"></div>';
+            const feed = document.getElementById('feed');
+            setLayout(feed, { scrollHeight: 200, clientHeight: 100, scrollTop: 30 });
+            tracker = new UmamiTracker();
+
+            scroll(feed);
+            window.history.pushState(null, '', '/next');
+            scroll(feed);
+
+            expect(depthsFor('element-scroll-depth')).toEqual([25, 25]);
+        });
+    });
+
+    describe('Engaged Time', () => {
+        const setHidden = (hidden) => {
+            Object.defineProperty(document, 'visibilityState', { value: hidden ? 'hidden' : 'visible', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+        };
+        const lastEvent = (name) => window.umami.track.mock.calls.filter(call => call[0] === name).pop()[1];
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete document.visibilityState;
+        });
+
+        test('should pause engaged time while the document is hidden', () => {
+            tracker = new UmamiTracker();
+
+            jest.advanceTimersByTime(10000);
+            setHidden(true);
+            jest.advanceTimersByTime(60000);
+            setHidden(false);
+            jest.advanceTimersByTime(5000);
+
+            expect(tracker.getStats()).toEqual(expect.objectContaining({ timeOnPage: 75, activeTime: 15 }));
+        });
+
+        test('should pause engaged time while the window is blurred', () => {
+            tracker = new UmamiTracker();
+
+            jest.advanceTimersByTime(10000);
+            window.dispatchEvent(new Event('blur'));
+            jest.advanceTimersByTime(20000);
+            window.dispatchEvent(new Event('focus'));
+            jest.advanceTimersByTime(10000);
+
+            expect(tracker.getStats().activeTime).toBe(20);
+        });
+
+        test('should stop counting at the last activity when the user goes idle', () => {
+            tracker = new UmamiTracker({ idleTimeout: 60000 });
+
+            jest.advanceTimersByTime(20000);
+            document.dispatchEvent(new Event('mousemove'));
+            jest.advanceTimersByTime(90000);
+
+            expect(tracker.getStats().activeTime).toBe(20);
+            tracker.checkIdle();
+            expect(tracker.getStats().activeTime).toBe(20);
+            expect(lastEvent('user-idle')).toEqual({ timeBeforeIdle: 90 });
+        });
+
+        test('should report the real idle duration when the user returns', () => {
+            tracker = new UmamiTracker({ idleTimeout: 60000 });
+
+            jest.advanceTimersByTime(70000);
+            tracker.checkIdle();
+            jest.advanceTimersByTime(50000);
+            document.dispatchEvent(new Event('mousedown'));
+            jest.advanceTimersByTime(10000);
+
+            expect(lastEvent('user-active')).toEqual({ idleDuration: 120 });
+            expect(tracker.getStats().activeTime).toBe(10);
+        });
+
+        test('should report active and total seconds in heartbeats and page-exit', () => {
+            tracker = new UmamiTracker();
+
+            jest.advanceTimersByTime(10000);
+            setHidden(true);
+            jest.advanceTimersByTime(20000);
+            tracker.sendHeartbeat();
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(lastEvent('time-on-page')).toEqual({ seconds: 30, minutes: 1, activeSeconds: 10 });
+            expect(lastEvent('page-exit')).toEqual(expect.objectContaining({
+                totalTimeSeconds: 30,
+                activeTimeSeconds: 10
+            }));
+        });
+
+        test('should only send heartbeats on change when heartbeatOnlyOnChange is set', () => {
+            tracker = new UmamiTracker({ heartbeatOnlyOnChange: true });
+
+            jest.advanceTimersByTime(10000);
+            tracker.sendHeartbeat();
+            window.dispatchEvent(new Event('blur'));
+            jest.advanceTimersByTime(10000);
+            tracker.sendHeartbeat();
+            window.dispatchEvent(new Event('focus'));
+            jest.advanceTimersByTime(10000);
+            tracker.sendHeartbeat();
+
+            const heartbeats = window.umami.track.mock.calls.filter(call => call[0] === 'time-on-page');
+            expect(heartbeats.map(call => call[1].activeSeconds)).toEqual([10, 20]);
+        });
+    });
+
+    describe('Frustration Signals', () => {
+        const click = (el, x = 10, y = 10) => el.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: x, clientY: y }));
+        const eventsNamed = (name) => window.umami.track.mock.calls.filter(call => call[0] === name);
+        const settle = async () => {
+            await Promise.resolve();
+            jest.advanceTimersByTime(1000);
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+            document.body.innerHTML = `
+                <button id="broken">Save</button>
+                <button id="working">Open</button>
+                <div id="panel"></div>
+                <a id="new-tab" href="/help" target="_blank">Help</a>
+                <p id="plain">Text</p>
+            `;
+            document.getElementById('working').addEventListener('click', () => {
+                document.getElementById('panel').textContent = 'Opened';
+            });
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete performance.getEntriesByType;
+            document.body.innerHTML = '';
+        });
+
+        test('should detect rage clicks on the same element', () => {
+            tracker = new UmamiTracker();
+            const button = document.getElementById('broken');
+
+            click(button);
+            jest.advanceTimersByTime(200);
+            click(button, 15, 12);
+            jest.advanceTimersByTime(200);
+            click(button, 12, 8);
+
+            expect(eventsNamed('rage-click')).toEqual([
+                ['rage-click', expect.objectContaining({ id: 'broken', element: 'button', clickCount: 3 })]
+            ]);
+        });
+
+        test('should not count slow or scattered clicks as rage clicks', () => {
+            tracker = new UmamiTracker();
+            const button = document.getElementById('broken');
+
+            click(button);
+            jest.advanceTimersByTime(1200);
+            click(button);
+            click(button, 200, 200);
+
+            expect(eventsNamed('rage-click')).toHaveLength(0);
+        });
+
+        test('should detect dead clicks on interactive elements', async () => {
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('broken'));
+            await settle();
+
+            expect(eventsNamed('dead-click')).toEqual([
+                ['dead-click', expect.objectContaining({ id: 'broken', text: 'Save' })]
+            ]);
+        });
+
+        test('should not mistake the kit\'s own requests for a reaction to the click', async () => {
+            document.getElementById('broken').dataset.umamiTrack = 'save-click';
+            const entries = [];
+            performance.getEntriesByType = jest.fn(() => entries);
+            window.umami.track = jest.fn(() => {
+                entries.push({ name: 'https://stats.example.org/api/send', initiatorType: 'fetch' });
+            });
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('broken'));
+            await settle();
+
+            expect(eventsNamed('save-click')).toHaveLength(1);
+            expect(eventsNamed('dead-click')).toEqual([['dead-click', expect.objectContaining({ id: 'broken' })]]);
+        });
+
+        test('should count other requests as a reaction to the click', async () => {
+            const entries = [];
+            performance.getEntriesByType = jest.fn(() => entries);
+            document.getElementById('broken').addEventListener('click', () => {
+                entries.push({ name: 'http://localhost/api/save', initiatorType: 'fetch' });
+            });
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('broken'));
+            await settle();
+
+            expect(eventsNamed('dead-click')).toHaveLength(0);
+        });
+
+        test('should not report clicks that change the DOM or navigate', async () => {
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('working'));
+            await settle();
+
+            document.getElementById('broken').addEventListener('click', () => {
+                window.history.pushState(null, '', '/saved');
+            });
+            click(document.getElementById('broken'));
+            await settle();
+
+            expect(eventsNamed('dead-click')).toHaveLength(0);
+        });
+
+        test('should ignore new-tab links and non-interactive elements', async () => {
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('new-tab'));
+            await settle();
+            click(document.getElementById('plain'));
+            await settle();
+
+            expect(eventsNamed('dead-click')).toHaveLength(0);
+        });
+
+        test('should attribute errors thrown right after a click', () => {
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('broken'));
+            window.dispatchEvent(new ErrorEvent('error', { message: 'Cannot read properties of undefined' }));
+            window.dispatchEvent(new ErrorEvent('error', { message: 'Second error' }));
+
+            expect(eventsNamed('error-click')).toEqual([
+                ['error-click', expect.objectContaining({
+                    id: 'broken',
+                    error: 'Cannot read properties of undefined'
+                })]
+            ]);
+        });
+
+        test('should not attribute errors long after a click', () => {
+            tracker = new UmamiTracker();
+
+            click(document.getElementById('broken'));
+            jest.advanceTimersByTime(5000);
+            window.dispatchEvent(new ErrorEvent('error', { message: 'Unrelated' }));
+
+            expect(eventsNamed('error-click')).toHaveLength(0);
+        });
+
+        test('should do nothing when trackFrustration is disabled', async () => {
+            tracker = new UmamiTracker({ trackFrustration: false });
+            const button = document.getElementById('broken');
+
+            click(button);
+            click(button);
+            click(button);
+            await settle();
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Error Tracking', () => {
+        const raise = (init) => window.dispatchEvent(new ErrorEvent('error', init));
+        const errors = () => window.umami.track.mock.calls.filter(call => call[0] === 'js-error').map(call => call[1]);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should be opt-in', () => {
+            tracker = new UmamiTracker();
+
+            raise({ message: 'Boom' });
+
+            expect(errors()).toHaveLength(0);
+        });
+
+        test('should report script errors with location and a truncated stack', () => {
+            tracker = new UmamiTracker({ trackErrors: true, errorStackLength: 20 });
+            const error = new Error('Boom');
+            error.stack = 'Error: Boom\n    at checkout (https://example.com/app.js:10:5)';
+
+            raise({ message: 'Uncaught Error: Boom', filename: 'https://example.com/app.js', lineno: 10, colno: 5, error });
+
+            expect(errors()).toEqual([{
+                type: 'error',
+                message: 'Uncaught Error: Boom',
+                source: 'https://example.com/app.js',
+                line: 10,
+                column: 5,
+                stack: 'Error: Boom\n    at c'
+            }]);
+        });
+
+        test('should report failed resources', () => {
+            tracker = new UmamiTracker({ trackErrors: true });
+            const img = document.createElement('img');
+            img.src = 'https://cdn.example.com/hero.png';
+            document.body.appendChild(img);
+
+            img.dispatchEvent(new Event('error'));
+
+            expect(errors()).toEqual([{
+                type: 'resource',
+                message: 'Failed to load img',
+                source: 'https://cdn.example.com/hero.png'
+            }]);
+        });
+
+        test('should report unhandled promise rejections', () => {
+            tracker = new UmamiTracker({ trackErrors: true });
+            const event = new Event('unhandledrejection');
+            event.reason = new TypeError('fetch failed');
+
+            window.dispatchEvent(event);
+
+            expect(errors()).toEqual([expect.objectContaining({
+                type: 'unhandledrejection',
+                message: 'fetch failed'
+            })]);
+        });
+
+        test('should deduplicate repeated errors', () => {
+            tracker = new UmamiTracker({ trackErrors: true });
+
+            for (let i = 0; i < 5; i++) raise({ message: 'Same', filename: 'app.js', lineno: 1 });
+            raise({ message: 'Same', filename: 'app.js', lineno: 2 });
+
+            expect(errors()).toHaveLength(2);
+        });
+
+        test('should rate limit per minute and per page', () => {
+            tracker = new UmamiTracker({ trackErrors: true, errorRateLimit: 2, maxErrorsPerPage: 3 });
+
+            ['a', 'b', 'c'].forEach(message => raise({ message }));
+            expect(errors()).toHaveLength(2);
+
+            jest.advanceTimersByTime(60000);
+            ['d', 'e'].forEach(message => raise({ message }));
+            expect(errors().map(e => e.message)).toEqual(['a', 'b', 'd']);
+        });
+
+        test('should report a rate-limited error once the window resets', () => {
+            tracker = new UmamiTracker({ trackErrors: true, errorRateLimit: 1 });
+
+            raise({ message: 'a' });
+            raise({ message: 'b' });
+            expect(errors().map(e => e.message)).toEqual(['a']);
+
+            jest.advanceTimersByTime(60000);
+            raise({ message: 'b' });
+            raise({ message: 'a' });
+            expect(errors().map(e => e.message)).toEqual(['a', 'b']);
+        });
+
+        test('should skip errors matching errorIgnorePatterns', () => {
+            tracker = new UmamiTracker({ trackErrors: true, errorIgnorePatterns: [/ResizeObserver loop/, 'extension://'] });
+
+            raise({ message: 'ResizeObserver loop limit exceeded' });
+            raise({ message: 'Error in chrome-extension://abc' });
+            raise({ message: 'Real problem' });
+
+            expect(errors().map(e => e.message)).toEqual(['Real problem']);
+        });
+    });
+
+    describe('Performance Metrics', () => {
+        let observers;
+        const emit = (type, entries) => observers
+            .filter(observer => observer.type === type)
+            .forEach(observer => observer.callback({ getEntries: () => entries }));
+        const vitals = () => window.umami.track.mock.calls.filter(call => call[0] === 'web-vitals').map(call => call[1]);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            observers = [];
+            window.PerformanceObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                }
+                observe({ type }) {
+                    this.type = type;
+                    observers.push(this);
+                }
+                disconnect() {}
+            };
+            performance.getEntriesByType = jest.fn().mockReturnValue([{
+                type: 'navigate',
+                responseStart: 950,
+                domContentLoadedEventEnd: 1500.4,
+                loadEventEnd: 2100.6,
+                domainLookupStart: 10,
+                domainLookupEnd: 30,
+                connectStart: 30,
+                connectEnd: 80
+            }]);
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.PerformanceObserver;
+            delete performance.getEntriesByType;
+        });
+
+        test('should be opt-in', () => {
+            tracker = new UmamiTracker();
+
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(observers).toHaveLength(0);
+            expect(vitals()).toHaveLength(0);
+        });
+
+        test('should report rated vitals and navigation timing once per page view', () => {
+            tracker = new UmamiTracker({ trackPerformance: true });
+
+            emit('paint', [{ name: 'first-paint', startTime: 900 }, { name: 'first-contentful-paint', startTime: 1200 }]);
+            emit('largest-contentful-paint', [{ startTime: 2000 }, { startTime: 3100 }]);
+            emit('layout-shift', [{ startTime: 100, value: 0.05 }, { startTime: 200, value: 0.5, hadRecentInput: true }]);
+            emit('event', [
+                { interactionId: 1, duration: 80 },
+                { interactionId: 1, duration: 120 },
+                { interactionId: 2, duration: 600 },
+                { duration: 900 }
+            ]);
+
+            window.dispatchEvent(new Event('beforeunload'));
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(vitals()).toEqual([{
+                navigationType: 'navigate',
+                domContentLoaded: 1500,
+                loadTime: 2101,
+                dnsTime: 20,
+                connectTime: 50,
+                lcp: 3100,
+                lcpRating: 'needs-improvement',
+                fcp: 1200,
+                fcpRating: 'good',
+                inp: 600,
+                inpRating: 'poor',
+                cls: 0.05,
+                clsRating: 'good',
+                ttfb: 950,
+                ttfbRating: 'needs-improvement'
+            }]);
+        });
+
+        test('should use the largest session window for CLS', () => {
+            tracker = new UmamiTracker({ trackPerformance: true });
+
+            emit('layout-shift', [
+                { startTime: 0, value: 0.05 },
+                { startTime: 500, value: 0.05 },
+                { startTime: 3000, value: 0.08 }
+            ]);
+            tracker.reportPerformance();
+
+            expect(vitals()[0]).toEqual(expect.objectContaining({ cls: 0.1, clsRating: 'good' }));
+        });
+
+        test('should report on the first route change only', () => {
+            tracker = new UmamiTracker({ trackPerformance: true });
+
+            window.history.pushState(null, '', '/next');
+            window.history.pushState(null, '', '/last');
+
+            expect(vitals()).toHaveLength(1);
+        });
+    });
+
+    describe('Sampling and Rate Limiting', () => {
+        const sent = () => window.umami.track.mock.calls.map(call => call[0]);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+        });
+
+        test('should keep the sampling decision for the whole session', () => {
+            sessionStorage.setItem('umami-kit-sample', '0.3');
+            tracker = new UmamiTracker({ sampleRate: 0.5, eventSampleRates: { 'time-on-page': 0.1 } });
+
+            tracker.trackEvent('signup');
+            tracker.sendHeartbeat();
+            expect(tracker.getStats().droppedEvents).toBe(1);
+            tracker.destroy();
+
+            tracker = new UmamiTracker({ sampleRate: 0.5, eventSampleRates: { 'time-on-page': 0.1 } });
+            tracker.trackEvent('signup');
+            tracker.sendHeartbeat();
+
+            expect(sent()).toEqual(['signup', 'signup']);
+            expect(tracker.getStats().droppedEvents).toBe(1);
+        });
+
+        test('should store a new sampling value when none exists', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.75);
+            tracker = new UmamiTracker({ sampleRate: 0.5 });
+
+            tracker.trackEvent('signup');
+
+            expect(sent()).toEqual([]);
+            expect(sessionStorage.getItem('umami-kit-sample')).toBe('0.75');
+            Math.random.mockRestore();
+        });
+
+        test('should apply per-event and global token buckets', () => {
+            tracker = new UmamiTracker({ rateLimit: 3, eventRateLimits: { click: 2 } });
+
+            ['click', 'click', 'click', 'search', 'search'].forEach(name => tracker.trackEvent(name));
+            expect(sent()).toEqual(['click', 'click', 'search']);
+            expect(tracker.getStats().droppedEvents).toBe(2);
+
+            // A third of the bucket refills every 20 seconds
+            jest.advanceTimersByTime(20000);
+            tracker.trackEvent('search');
+            tracker.trackEvent('search');
+            expect(sent()).toEqual(['click', 'click', 'search', 'search']);
+        });
+
+        test('should cap events per page per hour', () => {
+            tracker = new UmamiTracker({ maxEventsPerHourPerPage: 2, trackRouteChanges: false });
+
+            ['a', 'b', 'c'].forEach(name => tracker.trackEvent(name));
+            window.history.pushState(null, '', '/other');
+            tracker.trackEvent('d');
+            window.history.pushState(null, '', '/');
+            tracker.trackEvent('e');
+            jest.advanceTimersByTime(60 * 60 * 1000);
+            tracker.trackEvent('f');
+
+            expect(sent()).toEqual(['a', 'b', 'd', 'f']);
+        });
+
+        test('should read volume options from auto-init data attributes', () => {
+            document.body.setAttribute('data-umami-auto-track', '');
+            document.body.setAttribute('data-umami-sample-rate', '0.5');
+            document.body.setAttribute('data-umami-event-sample-rates', 'time-on-page:0.1, element-visible:0.25');
+            document.body.setAttribute('data-umami-rate-limit', '60');
+            document.body.setAttribute('data-umami-event-rate-limits', 'click:20');
+            document.body.setAttribute('data-umami-max-events-per-hour', '200');
+
+            jest.isolateModules(() => require('./umami-kit'));
+            tracker = window.umamiTracker;
+
+            expect(tracker.options).toEqual(expect.objectContaining({
+                sampleRate: 0.5,
+                eventSampleRates: { 'time-on-page': 0.1, 'element-visible': 0.25 },
+                rateLimit: 60,
+                eventRateLimits: { click: 20 },
+                maxEventsPerHourPerPage: 200
+            }));
+
+            Array.from(document.body.attributes).forEach(attr => document.body.removeAttribute(attr.name));
+            delete window.umamiTracker;
+        });
+    });
+
+    describe('Declarative Configuration', () => {
+        const autoInit = () => {
+            jest.isolateModules(() => require('./umami-kit'));
+            return window.umamiTracker;
+        };
+        const setAttributes = (attributes) => Object.keys(attributes)
+            .forEach(name => document.body.setAttribute(name, attributes[name]));
+        const addConfigBlock = (json) => {
+            const script = document.createElement('script');
+            script.type = 'application/json';
+            script.setAttribute('data-umami-kit-config', '');
+            script.textContent = typeof json === 'string' ? json : JSON.stringify(json);
+            document.head.appendChild(script);
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.umamiTracker;
+            Array.from(document.body.attributes).forEach(attr => document.body.removeAttribute(attr.name));
+            document.head.innerHTML = '';
+            document.body.innerHTML = '';
+            console.warn.mockRestore();
+        });
+
+        test('should map options to data attributes', () => {
+            setAttributes({
+                'data-umami-auto-track': '',
+                'data-umami-idle-timeout': '120000',
+                'data-umami-visibility-threshold': '0.25',
+                'data-umami-click-selector': '.cta',
+                'data-umami-auto-track-clicks': 'false',
+                'data-umami-scrub-pii': 'false',
+                'data-umami-pii-detectors': 'email, phone',
+                'data-umami-queue-storage': 'memory',
+                'data-umami-heartbeat': '15000',
+                'data-umami-debug': ''
+            });
+
+            tracker = autoInit();
+
+            expect(tracker.options).toEqual(expect.objectContaining({
+                idleTimeout: 120000,
+                visibilityThreshold: 0.25,
+                clickSelector: '.cta',
+                autoTrackClicks: false,
+                scrubPII: false,
+                piiDetectors: ['email', 'phone'],
+                queueStorage: 'memory',
+                heartbeatInterval: 15000,
+                debug: true
+            }));
+            expect(console.warn).not.toHaveBeenCalled();
+        });
+
+        test('should read a JSON config block, with attributes taking precedence', () => {
+            addConfigBlock({ idleTimeout: 90000, eventSampleRates: { 'time-on-page': 0.1 }, urlParamAllowlist: null });
+            setAttributes({ 'data-umami-auto-track': '', 'data-umami-idle-timeout': '30000' });
+
+            tracker = autoInit();
+
+            expect(tracker.options).toEqual(expect.objectContaining({
+                idleTimeout: 30000,
+                eventSampleRates: { 'time-on-page': 0.1 },
+                urlParamAllowlist: null
+            }));
+        });
+
+        test('should initialize from a JSON config block alone', () => {
+            addConfigBlock({ heartbeatInterval: 20000 });
+
+            tracker = autoInit();
+
+            expect(tracker.options.heartbeatInterval).toBe(20000);
+        });
+
+        test('should report invalid values in debug mode and keep the defaults', () => {
+            addConfigBlock({ debug: true, scrollDepthThresholds: [25, 150], idelTimeout: 5000 });
+            setAttributes({
+                'data-umami-auto-track': '',
+                'data-umami-idle-timeout': 'soon',
+                'data-umami-visibility-threshold': '2',
+                'data-umami-click-selector': '[[',
+                'data-umami-queue-storage': 'cookies',
+                'data-umami-pause-on-blur': 'yes'
+            });
+
+            tracker = autoInit();
+
+            expect(tracker.options).toEqual(expect.objectContaining({
+                idleTimeout: 60000,
+                visibilityThreshold: 0.5,
+                clickSelector: '[data-umami-track]',
+                queueStorage: 'localStorage',
+                pauseOnBlur: true,
+                scrollDepthThresholds: [25, 50, 75, 90]
+            }));
+            expect(console.warn.mock.calls.map(call => call[0])).toEqual([
+                'UmamiTracker config: config block "scrollDepthThresholds": expected a comma-separated list of numbers between 0 and 100, got [25,150]',
+                'UmamiTracker config: config block: unknown option "idelTimeout"',
+                'UmamiTracker config: data-umami-idle-timeout: expected an integer of at least 0, got "soon"',
+                'UmamiTracker config: data-umami-pause-on-blur: expected true or false, got "yes"',
+                'UmamiTracker config: data-umami-click-selector: expected a valid CSS selector, got "[["',
+                'UmamiTracker config: data-umami-visibility-threshold: expected a number between 0 and 1, got "2"',
+                'UmamiTracker config: data-umami-queue-storage: expected one of localStorage, indexedDB, memory, got "cookies"'
+            ]);
+        });
+
+        test('should stay quiet about invalid values outside debug mode', () => {
+            addConfigBlock('{ not json');
+            setAttributes({ 'data-umami-auto-track': '', 'data-umami-idle-timeout': 'soon' });
+
+            tracker = autoInit();
+
+            expect(tracker.options.idleTimeout).toBe(60000);
+            expect(console.warn).not.toHaveBeenCalled();
+        });
+
+        test('should set up form, download and search tracking declaratively', () => {
+            document.body.innerHTML = `
+                <form id="signup" data-umami-form="signup-submit"></form>
+                <form id="contact"></form>
+                <a href="/files/report.pdf" data-umami-download>Report</a>
+                <a href="/files/data.csv" class="export">Export</a>
+                <input id="q" data-umami-search="site-search" value="pricing">
+                <input id="docs-search" value="install">
+            `;
+            addConfigBlock({
+                trackForm: [{ selector: '#contact', event: 'contact-submit' }],
+                trackDownloads: ['.export'],
+                trackSearch: '#docs-search'
+            });
+
+            tracker = autoInit();
+            document.getElementById('signup').dispatchEvent(new Event('submit'));
+            document.getElementById('contact').dispatchEvent(new Event('submit'));
+            document.querySelectorAll('a').forEach(link => link.click());
+            document.querySelectorAll('input').forEach(input => input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' })));
+
+            const calls = window.umami.track.mock.calls;
+            expect(calls).toContainEqual(['signup-submit', expect.objectContaining({ formId: 'signup' })]);
+            expect(calls).toContainEqual(['contact-submit', expect.objectContaining({ formId: 'contact' })]);
+            expect(calls).toContainEqual(['download', expect.objectContaining({ filename: 'report.pdf' })]);
+            expect(calls).toContainEqual(['download', expect.objectContaining({ filename: 'data.csv' })]);
+            expect(calls).toContainEqual(['site-search', expect.objectContaining({ query: 'pricing' })]);
+            expect(calls).toContainEqual(['internal-search', expect.objectContaining({ query: 'install' })]);
+        });
+
+        test('should pass search options from the config block', () => {
+            document.body.innerHTML = '<input id="q">';
+            addConfigBlock({
+                debug: true,
+                searchDebounceMs: 300,
+                trackSearch: [{ selector: '#q', searchAsYouType: true, resultSelector: '.hit', colour: 'red' }]
+            });
+
+            tracker = autoInit();
+            const input = document.getElementById('q');
+            input.value = 'widgets';
+            input.dispatchEvent(new Event('input'));
+            jest.advanceTimersByTime(300);
+
+            expect(window.umami.track).toHaveBeenCalledWith('internal-search', expect.objectContaining({ query: 'widgets', trigger: 'typing' }));
+            expect(console.warn).toHaveBeenCalledWith('UmamiTracker config: config block "trackSearch": unknown key "colour"');
+        });
+
+        test('should reject malformed method entries', () => {
+            addConfigBlock({ debug: true, trackForm: [{ event: 'no-selector' }], trackDownloads: true });
+
+            tracker = autoInit();
+
+            expect(console.warn).toHaveBeenCalledWith(
+                'UmamiTracker config: config block "trackForm": expected a selector or { selector, event }, got {"event":"no-selector"}'
+            );
+            expect(console.warn).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Element Visibility', () => {
+        let observers;
+        let intersect;
+        const eventsNamed = (name) => window.umami.track.mock.calls.filter(call => call[0] === name).map(call => call[1]);
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            ({ observers, intersect } = mockIntersectionObserver());
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.IntersectionObserver;
+            delete document.visibilityState;
+            document.body.innerHTML = '';
+        });
+
+        test('should give every element a stable identity', () => {
+            document.body.innerHTML = `
+                <main id="content">
+                    <section class="card" data-umami-visible></section>
+                    <section class="card" data-umami-visible></section>
+                </main>
+                <section id="pricing" data-umami-visible></section>
+                <section class="card" data-umami-visible data-umami-visible-key="hero-banner"></section>
+            `;
+            tracker = new UmamiTracker();
+
+            document.querySelectorAll('section').forEach(section => intersect(section, 0.6));
+
+            expect(eventsNamed('element-visible').map(data => data.elementKey)).toEqual([
+                '#content > section:nth-of-type(1)',
+                '#content > section:nth-of-type(2)',
+                'pricing',
+                'hero-banner'
+            ]);
+            expect(tracker.getStats().elementsViewed).toBe(4);
+        });
+
+        test('should report each of several thresholds once', () => {
+            document.body.innerHTML = '<section id="plans" data-umami-visible="plans-viewed" data-umami-visible-thresholds="100,25,50"></section>';
+            tracker = new UmamiTracker();
+            const section = document.getElementById('plans');
+
+            intersect(section, 0.3);
+            intersect(section, 1);
+            intersect(section, 0);
+            intersect(section, 1);
+
+            expect(eventsNamed('plans-viewed').map(data => data.threshold)).toEqual([25, 50, 100]);
+            expect(observers.find(observer => observer.targets.has(section)).options.threshold).toEqual([0.25, 0.5, 1]);
+        });
+
+        test('should report repeat impressions when enabled', () => {
+            document.body.innerHTML = '<section id="promo" data-umami-visible></section>';
+            tracker = new UmamiTracker({ visibilityRepeat: true });
+            const section = document.getElementById('promo');
+
+            intersect(section, 0.8);
+            intersect(section, 0.2);
+            intersect(section, 0.8);
+
+            expect(eventsNamed('element-visible').map(data => data.impression)).toEqual([1, 2]);
+        });
+
+        test('should measure dwell time above the threshold', () => {
+            document.body.innerHTML = '<section id="promo" data-umami-visible></section><section id="brief" data-umami-visible></section>';
+            tracker = new UmamiTracker();
+            const promo = document.getElementById('promo');
+
+            intersect(promo, 0.8);
+            jest.advanceTimersByTime(3000);
+            intersect(promo, 0.3);
+            jest.advanceTimersByTime(5000);
+            intersect(promo, 0.6);
+            intersect(document.getElementById('brief'), 1);
+            jest.advanceTimersByTime(500);
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('element-dwell')).toEqual([expect.objectContaining({
+                elementKey: 'promo',
+                dwellMs: 3500,
+                impressions: 2
+            })]);
+        });
+
+        test('should pause dwell time while the page is hidden', () => {
+            document.body.innerHTML = '<section id="promo" data-umami-visible></section>';
+            tracker = new UmamiTracker();
+
+            intersect(document.getElementById('promo'), 1);
+            jest.advanceTimersByTime(2000);
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            jest.advanceTimersByTime(10000);
+            Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            jest.advanceTimersByTime(1500);
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(eventsNamed('element-dwell').map(data => data.dwellMs)).toEqual([2000, 1500]);
+        });
+
+        test('should report dwell time when an element is removed', async () => {
+            document.body.innerHTML = '<div id="modal"><section data-umami-visible data-umami-visible-key="offer"></section></div>';
+            tracker = new UmamiTracker();
+
+            intersect(document.querySelector('section'), 1);
+            jest.advanceTimersByTime(4000);
+            document.getElementById('modal').remove();
+            await Promise.resolve();
+            jest.runOnlyPendingTimers();
+
+            // Removal is noticed after the mutation debounce
+            expect(eventsNamed('element-dwell')).toEqual([expect.objectContaining({ elementKey: 'offer', dwellMs: 4050 })]);
+        });
+    });
+
+    describe('Sessions', () => {
+        const setReferrer = (referrer) => Object.defineProperty(document, 'referrer', { value: referrer, configurable: true });
+        const loadPage = (path, options) => {
+            window.dispatchEvent(new Event('beforeunload'));
+            tracker.destroy();
+            window.history.replaceState(null, '', path);
+            tracker = new UmamiTracker(options);
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete document.referrer;
+            delete navigator.doNotTrack;
+            delete navigator.globalPrivacyControl;
+        });
+
+        test('should record entry page, referrer and campaign', () => {
+            window.history.replaceState(null, '', '/landing?utm_source=newsletter&utm_campaign=spring&token=abc');
+            setReferrer('https://search.example/?q=kits');
+            tracker = new UmamiTracker();
+
+            expect(tracker.getStats().session).toEqual({
+                sessionStartedAt: new Date().toISOString(),
+                entryPage: '/landing?utm_source=newsletter&utm_campaign=spring',
+                pageNumber: 1,
+                sessionEngagedSeconds: 0,
+                referrer: 'https://search.example/?q=kits',
+                utmSource: 'newsletter',
+                utmCampaign: 'spring'
+            });
+        });
+
+        test('should not store a session before consent is granted', () => {
+            tracker = new UmamiTracker({ requireConsent: true });
+
+            expect(sessionStorage.getItem('umami-kit-session')).toBeNull();
+            expect(tracker.getStats().session).toBeNull();
+
+            tracker.grantConsent();
+
+            expect(JSON.parse(sessionStorage.getItem('umami-kit-session'))).toEqual(expect.objectContaining({ entryPage: '/', pageNumber: 1 }));
+            expect(tracker.getStats().session).toEqual(expect.objectContaining({ pageNumber: 1 }));
+
+            tracker.revokeConsent();
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(sessionStorage.getItem('umami-kit-session')).toBeNull();
+            expect(tracker.getStats().session).toBeNull();
+        });
+
+        test.each([
+            ['doNotTrack', '1'],
+            ['globalPrivacyControl', true]
+        ])('should never store a session with navigator.%s', (property, value) => {
+            Object.defineProperty(navigator, property, { value, configurable: true });
+            tracker = new UmamiTracker();
+            tracker.grantConsent();
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(sessionStorage.getItem('umami-kit-session')).toBeNull();
+            expect(tracker.getStats().session).toBeNull();
+        });
+
+        test('should continue across page loads and accumulate engaged time', () => {
+            window.history.replaceState(null, '', '/landing');
+            tracker = new UmamiTracker();
+            jest.advanceTimersByTime(10000);
+
+            loadPage('/pricing');
+            jest.advanceTimersByTime(5000);
+
+            expect(tracker.getStats().session).toEqual(expect.objectContaining({
+                entryPage: '/landing',
+                pageNumber: 2,
+                sessionEngagedSeconds: 15
+            }));
+        });
+
+        test('should start a new session after the timeout or on a new campaign', () => {
+            tracker = new UmamiTracker({ sessionTimeout: 60000 });
+
+            jest.advanceTimersByTime(61000);
+            loadPage('/again', { sessionTimeout: 60000 });
+            expect(tracker.getStats().session).toEqual(expect.objectContaining({ entryPage: '/again', pageNumber: 1 }));
+
+            loadPage('/promo?utm_source=ads');
+            expect(tracker.getStats().session).toEqual(expect.objectContaining({ entryPage: '/promo?utm_source=ads', pageNumber: 1 }));
+        });
+
+        test('should count SPA route changes and attach the session to page-exit', () => {
+            tracker = new UmamiTracker();
+            jest.advanceTimersByTime(4000);
+
+            window.history.pushState(null, '', '/docs');
+            jest.advanceTimersByTime(2000);
+            window.history.pushState(null, '', '/docs/install');
+
+            const exits = window.umami.track.mock.calls.filter(call => call[0] === 'page-exit').map(call => call[1]);
+            expect(exits.map(data => [data.pageNumber, data.sessionEngagedSeconds])).toEqual([[1, 4], [2, 6]]);
+            expect(exits[0]).toEqual(expect.objectContaining({ entryPage: '/', sessionStartedAt: expect.any(String) }));
+            expect(tracker.getStats().session.pageNumber).toBe(3);
+        });
+
+        test('should optionally attach session data to every event', () => {
+            tracker = new UmamiTracker({ sessionDataOnEvents: true });
+
+            tracker.trackEvent('signup', { plan: 'pro', pageNumber: 'custom' });
+
+            expect(window.umami.track).toHaveBeenCalledWith('signup', expect.objectContaining({
+                plan: 'pro',
+                pageNumber: 'custom',
+                entryPage: '/'
+            }));
+        });
+
+        test('should not keep a session when disabled', () => {
+            tracker = new UmamiTracker({ trackSession: false });
+
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(tracker.getStats().session).toBeNull();
+            expect(sessionStorage.getItem('umami-kit-session')).toBeNull();
+        });
+    });
+
+    describe('Funnels', () => {
+        const signup = [{ event: 'email-entered' }, { url: '/verify' }, { event: 'account-created', name: 'created' }];
+        const eventsNamed = (name) => window.umami.track.mock.calls.filter(call => call[0] === name).map(call => call[1]);
+        const loadPage = (path, options) => {
+            tracker.destroy();
+            window.history.replaceState(null, '', path);
+            tracker = new UmamiTracker(options);
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            window.history.replaceState(null, '', '/');
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete navigator.globalPrivacyControl;
+        });
+
+        test('should report steps matched by events and URLs', () => {
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('signup', signup);
+
+            tracker.trackEvent('email-entered');
+            jest.advanceTimersByTime(5000);
+            window.history.pushState(null, '', '/verify');
+            jest.advanceTimersByTime(3000);
+            tracker.trackEvent('account-created');
+
+            expect(eventsNamed('funnel-step')).toEqual([
+                { funnel: 'signup', step: 1, stepName: 'email-entered', stepCount: 3 },
+                { funnel: 'signup', step: 2, stepName: '/verify', stepCount: 3, secondsSincePreviousStep: 5, secondsSinceStart: 5 },
+                { funnel: 'signup', step: 3, stepName: 'created', stepCount: 3, secondsSincePreviousStep: 3, secondsSinceStart: 8, completed: true }
+            ]);
+            expect(localStorage.getItem('umami-kit-funnels')).toBe('{}');
+        });
+
+        test('should only advance in order', () => {
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('checkout', [{ url: '/cart' }, { url: '/checkout/*' }, { url: /^\/order\/\d+$/ }]);
+
+            window.history.pushState(null, '', '/checkout/shipping');
+            window.history.pushState(null, '', '/cart');
+            window.history.pushState(null, '', '/order/42');
+            window.history.pushState(null, '', '/checkout/payment');
+            window.history.pushState(null, '', '/order/42');
+
+            expect(eventsNamed('funnel-step').map(data => data.step)).toEqual([1, 2, 3]);
+        });
+
+        test('should keep progress across page loads', () => {
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('signup', signup);
+            tracker.trackEvent('email-entered');
+            jest.advanceTimersByTime(7000);
+
+            loadPage('/verify');
+            tracker.defineFunnel('signup', signup);
+
+            expect(eventsNamed('funnel-step').pop()).toEqual(expect.objectContaining({ step: 2, secondsSincePreviousStep: 7 }));
+        });
+
+        test('should report a drop-off when the funnel times out', () => {
+            tracker = new UmamiTracker({ sessionTimeout: 60000 });
+            tracker.defineFunnel('signup', signup);
+            tracker.trackEvent('email-entered');
+
+            jest.advanceTimersByTime(50000);
+            document.dispatchEvent(new Event('mousemove'));
+            jest.advanceTimersByTime(20000);
+            expect(eventsNamed('funnel-dropoff')).toHaveLength(0);
+
+            jest.advanceTimersByTime(60000);
+            expect(eventsNamed('funnel-dropoff')).toEqual([{
+                funnel: 'signup',
+                lastStep: 1,
+                lastStepName: 'email-entered',
+                stepCount: 3,
+                secondsInFunnel: 50
+            }]);
+        });
+
+        test('should report a drop-off from an earlier visit', () => {
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('signup', signup);
+            tracker.trackEvent('email-entered');
+            window.history.pushState(null, '', '/verify');
+
+            jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+            loadPage('/');
+            tracker.defineFunnel('signup', signup);
+
+            expect(eventsNamed('funnel-dropoff')).toEqual([expect.objectContaining({ lastStep: 2, lastStepName: '/verify' })]);
+            tracker.trackEvent('email-entered');
+            expect(eventsNamed('funnel-step').pop()).toEqual(expect.objectContaining({ step: 1 }));
+        });
+
+        test('should report a drop-off when a new session starts mid-funnel', () => {
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('signup', signup);
+            tracker.trackEvent('email-entered');
+            jest.advanceTimersByTime(3000);
+
+            // A new tab has its own session, well within the funnel timeout
+            sessionStorage.clear();
+            loadPage('/verify');
+            tracker.defineFunnel('signup', signup);
+
+            expect(eventsNamed('funnel-dropoff')).toEqual([expect.objectContaining({ lastStep: 1, lastStepName: 'email-entered' })]);
+            expect(eventsNamed('funnel-step').map(data => data.step)).toEqual([1]);
+        });
+
+        test('should neither advance nor store progress with Global Privacy Control', () => {
+            Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+            tracker = new UmamiTracker();
+            tracker.defineFunnel('signup', signup);
+
+            tracker.trackEvent('email-entered');
+            window.history.pushState(null, '', '/verify');
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(localStorage.getItem('umami-kit-funnels')).toBeNull();
+            expect(tracker.funnelProgress).toBeNull();
+        });
+
+        test('should need consent for the funnels category', () => {
+            tracker = new UmamiTracker({ requireConsent: true });
+            tracker.defineFunnel('signup', signup);
+            tracker.trackEvent('email-entered');
+
+            tracker.grantConsent(['custom']);
+            tracker.trackEvent('email-entered');
+
+            expect(window.umami.track.mock.calls.map(call => call[0])).toEqual(['email-entered']);
+            expect(localStorage.getItem('umami-kit-funnels')).toBeNull();
+
+            tracker.grantConsent(['funnels']);
+            tracker.trackEvent('email-entered');
+            expect(eventsNamed('funnel-step')).toEqual([expect.objectContaining({ step: 1 })]);
+            expect(JSON.parse(localStorage.getItem('umami-kit-funnels'))).toHaveProperty('signup');
+
+            tracker.revokeConsent('funnels');
+            expect(localStorage.getItem('umami-kit-funnels')).toBeNull();
+            window.history.pushState(null, '', '/verify');
+            expect(eventsNamed('funnel-step')).toHaveLength(1);
+        });
+
+        test('should ignore invalid funnels', () => {
+            tracker = new UmamiTracker();
+
+            expect(tracker.defineFunnel('broken', [{ selector: '#x' }])).toBe(tracker);
+            expect(tracker.funnels.size).toBe(0);
+        });
+    });
+
+    describe('Click Classification', () => {
+        const clicks = () => window.umami.track.mock.calls.filter(call => !['page-exit', 'dead-click', 'rage-click'].includes(call[0]));
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            document.body.innerHTML = `
+                <a id="tagged-external" href="https://other.example/docs" data-umami-track="docs-click">Docs</a>
+                <a id="external" href="https://other.example/">Other</a>
+                <a id="internal" href="/pricing">Pricing</a>
+                <a id="mail" href="mailto:hello@example.com">Mail</a>
+                <a id="phone" href="tel:+15550100">Call</a>
+                <a id="report" href="/files/report.pdf" data-umami-track="report-click">Report</a>
+                <a id="archive" href="/files/archive.zip">Archive</a>
+                <button id="plain">Plain</button>
+                <div data-umami-ignore><a id="ignored" href="https://other.example/" data-umami-track="ignored">Ignored</a></div>
+            `;
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should send one event per click even when several types apply', () => {
+            tracker = new UmamiTracker({ autoTrackAllClicks: true });
+
+            document.getElementById('tagged-external').click();
+
+            expect(clicks()).toEqual([['docs-click', expect.objectContaining({ id: 'tagged-external' })]]);
+        });
+
+        test('should follow a configured precedence', () => {
+            tracker = new UmamiTracker({ clickPrecedence: ['outbound', 'custom'] });
+
+            document.getElementById('tagged-external').click();
+
+            expect(clicks()).toEqual([['external-link-click', { url: 'https://other.example/docs', text: 'Docs' }]]);
+        });
+
+        test('should classify links and buttons in all-clicks mode', () => {
+            tracker = new UmamiTracker({ autoTrackAllClicks: true });
+
+            ['external', 'internal', 'mail', 'phone', 'plain'].forEach(id => document.getElementById(id).click());
+
+            expect(clicks().map(([name, data]) => [name, data.clickType])).toEqual([
+                ['external-link-click', undefined],
+                ['click', 'navigation'],
+                ['mailto-click', undefined],
+                ['tel-click', undefined],
+                ['click', 'button']
+            ]);
+        });
+
+        test('should skip navigation and button clicks by default', () => {
+            tracker = new UmamiTracker();
+
+            ['external', 'internal', 'mail', 'phone', 'plain'].forEach(id => document.getElementById(id).click());
+
+            expect(clicks().map(call => call[0])).toEqual(['external-link-click', 'mailto-click', 'tel-click']);
+        });
+
+        test('should delegate download tracking', () => {
+            tracker = new UmamiTracker({ autoTrackClicks: false });
+            tracker.trackDownloads();
+
+            ['report', 'archive', 'internal'].forEach(id => document.getElementById(id).click());
+
+            expect(clicks()).toEqual([
+                ['download', { filename: 'report.pdf', extension: 'pdf', url: 'http://localhost/files/report.pdf' }],
+                ['download', { filename: 'archive.zip', extension: 'zip', url: 'http://localhost/files/archive.zip' }]
+            ]);
+        });
+
+        test('should prefer a custom tag over a download by default', () => {
+            tracker = new UmamiTracker();
+            tracker.trackDownloads();
+
+            document.getElementById('report').click();
+
+            expect(clicks().map(call => call[0])).toEqual(['report-click']);
+        });
+
+        test('should skip elements inside data-umami-ignore', () => {
+            tracker = new UmamiTracker({ autoTrackAllClicks: true, rageClickCount: 2 });
+            const ignored = document.getElementById('ignored');
+
+            ignored.click();
+            ignored.click();
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Link Classification', () => {
+        const events = () => window.umami.track.mock.calls.filter(call => !['dead-click', 'rage-click'].includes(call[0]));
+        const clickLink = (href, attributes = '') => {
+            document.body.insertAdjacentHTML('beforeend', `<a href="${href}" ${attributes}>Link</a>`);
+            document.body.lastElementChild.click();
+        };
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should treat configured domains and wildcard subdomains as internal', () => {
+            tracker = new UmamiTracker({ internalDomains: ['*.localhost', 'partner.example', '*.Example.org'] });
+
+            clickLink('http://docs.localhost/guide');
+            clickLink('https://partner.example/');
+            clickLink('https://example.org/');
+            clickLink('https://shop.example.org/');
+            clickLink('https://sub.partner.example/');
+            clickLink('https://notexample.org/');
+
+            expect(events().map(call => call[1].url)).toEqual(['https://sub.partner.example/', 'https://notexample.org/']);
+        });
+
+        test('should detect downloads by extension, ignoring query strings and fragments', () => {
+            tracker = new UmamiTracker({ downloadExtensions: ['pdf', 'xlsx'] });
+
+            clickLink('/files/Report.PDF?version=2#page=3');
+            clickLink('/files/budget.xlsx');
+            clickLink('/files/notes.txt');
+            clickLink('/export?format=pdf');
+            clickLink('/generate', 'download="summary.csv"');
+
+            expect(events()).toEqual([
+                ['download', { filename: 'Report.PDF', extension: 'pdf', url: 'http://localhost/files/Report.PDF?version=2#page=3' }],
+                ['download', { filename: 'budget.xlsx', extension: 'xlsx', url: 'http://localhost/files/budget.xlsx' }],
+                ['download', { filename: 'summary.csv', extension: '', url: 'http://localhost/generate' }]
+            ]);
+        });
+
+        test('should classify external downloads as downloads', () => {
+            tracker = new UmamiTracker();
+
+            clickLink('https://cdn.other.example/app.dmg');
+
+            expect(events().map(call => call[0])).toEqual(['download']);
+        });
+
+        test('should leave downloads to trackDownloads when automatic detection is off', () => {
+            tracker = new UmamiTracker({ autoTrackDownloads: false });
+            tracker.trackDownloads('.download');
+
+            clickLink('/files/report.pdf');
+            clickLink('/files/other.bin', 'class="download"');
+
+            expect(events().map(call => call[1].filename)).toEqual(['other.bin']);
+        });
+
+        test('should send mailto and tel clicks with redacted addresses', () => {
+            tracker = new UmamiTracker();
+
+            clickLink('mailto:Sales@Example.com?subject=Hi');
+            clickLink('tel:+1-555-010-0199');
+
+            expect(events()).toEqual([
+                ['mailto-click', { address: '[redacted]', text: 'Link', domain: 'example.com' }],
+                ['tel-click', { address: '[redacted]', text: 'Link' }]
+            ]);
+        });
+
+        test('should redact unformatted tel numbers and link text showing them', () => {
+            tracker = new UmamiTracker();
+
+            clickLink('tel:5551234567');
+            document.body.innerHTML = '<a href="tel:5551234567">555 123 4567</a>';
+            document.querySelector('a').click();
+
+            expect(events()).toEqual([
+                ['tel-click', { address: '[redacted]', text: 'Link' }],
+                ['tel-click', { address: '[redacted]', text: '[redacted]' }]
+            ]);
+        });
+
+        test('should keep malformed mailto addresses as they are', () => {
+            tracker = new UmamiTracker({ scrubPII: false });
+
+            clickLink('mailto:%E0%A4%A');
+
+            expect(events()).toEqual([['mailto-click', { address: '%E0%A4%A', text: 'Link' }]]);
+            expect(window.umami.track.mock.calls.map(call => call[0])).not.toContain('error-click');
+        });
+
+        test('should cover links added after init', () => {
+            tracker = new UmamiTracker();
+
+            clickLink('mailto:team@example.com');
+
+            expect(events()[0]).toEqual(['mailto-click', expect.objectContaining({ domain: 'example.com' })]);
+        });
+    });
+
+    describe('Search Analytics', () => {
+        const searches = () => window.umami.track.mock.calls.filter(call => call[0] === 'internal-search').map(call => call[1]);
+        const type = (input, value) => {
+            input.value = value;
+            input.dispatchEvent(new Event('input'));
+        };
+        const pressEnter = (input) => input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+
+        beforeEach(() => {
+            jest.clearAllTimers();
+            window.umami = { track: jest.fn() };
+            document.body.innerHTML = `
+                <input id="quick">
+                <form id="search-form"><input id="q" name="q"></form>
+                <button id="go">Search</button>
+                <ul class="results">
+                    <li class="result"><a href="/docs/a">A</a></li>
+                    <li class="result"><a href="/docs/b">B</a></li>
+                    <li class="result"><a href="/docs/c?token=secret">C</a></li>
+                </ul>
+            `;
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            document.body.innerHTML = '';
+        });
+
+        test('should report normalised queries from Enter once per query', () => {
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#quick');
+            const input = document.getElementById('quick');
+
+            input.value = '  Running   SHOES ';
+            pressEnter(input);
+            pressEnter(input);
+            input.value = 'sandals';
+            pressEnter(input);
+
+            expect(searches()).toEqual([
+                { query: 'running shoes', queryLength: 13, trigger: 'enter' },
+                { query: 'sandals', queryLength: 7, trigger: 'enter' }
+            ]);
+        });
+
+        test('should report form submits and search button clicks', () => {
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#q');
+            tracker.trackSearch('#quick', 'internal-search', { buttonSelector: '#go' });
+
+            document.getElementById('q').value = 'pricing';
+            pressEnter(document.getElementById('q'));
+            document.getElementById('search-form').dispatchEvent(new Event('submit'));
+            document.getElementById('quick').value = 'support';
+            document.getElementById('go').click();
+
+            expect(searches().map(data => [data.query, data.trigger])).toEqual([['pricing', 'enter'], ['support', 'button']]);
+        });
+
+        test('should report settled search-as-you-type queries', () => {
+            tracker = new UmamiTracker({ searchDebounceMs: 500 });
+            tracker.trackSearch('#quick', 'internal-search', { searchAsYouType: true });
+            const input = document.getElementById('quick');
+
+            type(input, 's');
+            jest.advanceTimersByTime(600);
+            type(input, 'sh');
+            jest.advanceTimersByTime(200);
+            type(input, 'shoes');
+            jest.advanceTimersByTime(600);
+            pressEnter(input);
+
+            // 's' is too short, 'sh' was still being typed and Enter repeats 'shoes'
+            expect(searches()).toEqual([{ query: 'shoes', queryLength: 5, trigger: 'typing' }]);
+        });
+
+        test('should cap long queries', () => {
+            tracker = new UmamiTracker({ searchMaxQueryLength: 10 });
+            tracker.trackSearch('#quick');
+            const input = document.getElementById('quick');
+
+            input.value = 'A very long search query';
+            pressEnter(input);
+
+            expect(searches()).toEqual([{ query: 'a very lon', queryLength: 24, trigger: 'enter' }]);
+        });
+
+        test('should report result counts from a callback or attribute', async () => {
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#quick', 'internal-search', { resultCount: query => (query === 'nothing' ? 0 : 12) });
+            tracker.trackSearch('#q', 'internal-search', { resultCount: () => Promise.resolve(3) });
+            const quick = document.getElementById('quick');
+
+            quick.value = 'nothing';
+            pressEnter(quick);
+            quick.value = 'plenty';
+            pressEnter(quick);
+            document.getElementById('q').value = 'async';
+            pressEnter(document.getElementById('q'));
+            await Promise.resolve();
+
+            expect(searches().map(data => [data.query, data.resultCount, data.noResults])).toEqual([
+                ['nothing', 0, true],
+                ['plenty', 12, false],
+                ['async', 3, false]
+            ]);
+        });
+
+        test('should read the result count attribute', () => {
+            document.querySelector('.results').setAttribute('data-umami-result-count', '0');
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#quick');
+
+            document.getElementById('quick').value = 'missing';
+            pressEnter(document.getElementById('quick'));
+
+            expect(searches()[0]).toEqual(expect.objectContaining({ resultCount: 0, noResults: true }));
+        });
+
+        test('should report result clicks with their position as the only click event', () => {
+            tracker = new UmamiTracker({ autoTrackAllClicks: true });
+            tracker.trackSearch('#quick', 'internal-search', { resultSelector: '.result' });
+            document.getElementById('quick').value = 'docs';
+            pressEnter(document.getElementById('quick'));
+
+            document.querySelectorAll('.result a')[2].click();
+
+            const clicks = window.umami.track.mock.calls.filter(call => call[0] !== 'internal-search');
+            expect(clicks).toEqual([['search-result-click', {
+                query: 'docs',
+                position: 3,
+                resultsShown: 3,
+                url: 'http://localhost/docs/c'
+            }]]);
+        });
+
+        test('should support marked-up results and prefilled queries', () => {
+            document.body.insertAdjacentHTML('beforeend', '<a id="featured" href="/docs/featured" data-umami-search-result="1">Featured</a>');
+            document.getElementById('quick').value = 'Prefilled';
+            tracker = new UmamiTracker();
+            tracker.trackSearch('#quick');
+
+            document.getElementById('featured').click();
+
+            expect(window.umami.track).toHaveBeenCalledWith('search-result-click', expect.objectContaining({
+                query: 'prefilled',
+                position: 1
+            }));
+        });
+    });
+
+    describe('Ecommerce', () => {
+        let intersect;
+        const shoe = { id: 'SKU-1', name: 'Trail Shoe', category: 'Shoes', price: 59.99, quantity: 2 };
+        const sock = { id: 'SKU-2', name: 'Wool Sock', price: 9.5 };
+
+        beforeEach(() => {
+            window.umami = { track: jest.fn() };
+            ({ intersect } = mockIntersectionObserver());
+        });
+
+        afterEach(() => {
+            delete window.umami;
+            delete window.IntersectionObserver;
+            document.body.innerHTML = '';
+        });
+
+        test('should flatten items with a computed value', () => {
+            tracker = new UmamiTracker();
+
+            expect(tracker.addToCart({ items: [shoe, sock], currency: 'eur' })).toBe(true);
+
+            expect(window.umami.track).toHaveBeenCalledWith('add-to-cart', {
+                currency: 'EUR',
+                value: 129.48,
+                itemCount: 3,
+                itemIds: 'SKU-1,SKU-2',
+                item1Id: 'SKU-1',
+                item1Name: 'Trail Shoe',
+                item1Category: 'Shoes',
+                item1Price: 59.99,
+                item1Quantity: 2,
+                item2Id: 'SKU-2',
+                item2Name: 'Wool Sock',
+                item2Price: 9.5
+            });
+        });
+
+        test('should send each method under its own event with the default currency', () => {
+            tracker = new UmamiTracker({ currency: 'USD' });
+
+            tracker.viewItem({ items: shoe });
+            tracker.removeFromCart({ items: [sock] });
+            tracker.beginCheckout({ items: [shoe, sock], coupon: 'SPRING' });
+            tracker.purchase({ items: [shoe], transactionId: 'T-100', value: 129.98, tax: 10, shipping: 0 });
+            tracker.refund({ transactionId: 'T-100', value: 129.98 });
+
+            const calls = window.umami.track.mock.calls;
+            expect(calls.map(call => call[0])).toEqual(['view-item', 'remove-from-cart', 'begin-checkout', 'purchase', 'refund']);
+            expect(calls[2][1]).toEqual(expect.objectContaining({ currency: 'USD', coupon: 'SPRING', value: 129.48 }));
+            expect(calls[3][1]).toEqual(expect.objectContaining({
+                transactionId: 'T-100', value: 129.98, tax: 10, shipping: 0, itemIds: 'SKU-1'
+            }));
+            expect(calls[4][1]).toEqual({ transactionId: 'T-100', currency: 'USD', value: 129.98 });
+        });
+
+        test('should reject invalid payloads without sending them', () => {
+            tracker = new UmamiTracker({ debug: true });
+
+            expect(tracker.viewItem({ items: [] })).toBe(false);
+            expect(tracker.addToCart({ items: [{ name: 'No id', price: 5 }] })).toBe(false);
+            expect(tracker.addToCart({ items: [{ id: 'A', price: -1, quantity: 1.5 }], currency: 'EUR' })).toBe(false);
+            expect(tracker.purchase({ items: [shoe], currency: 'EUR' })).toBe(false);
+            expect(tracker.viewItem({ items: [shoe], currency: 'euro' })).toBe(false);
+
+            expect(window.umami.track).not.toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledWith('[UmamiTracker]',
+                'Invalid addToCart payload, not tracked: items[0].id is required; currency is required with a value or item prices');
+            expect(console.log).toHaveBeenCalledWith('[UmamiTracker]',
+                'Invalid addToCart payload, not tracked: items[0].price must be a non-negative number; items[0].quantity must be a positive integer');
+            expect(console.log).toHaveBeenCalledWith('[UmamiTracker]', 'Invalid purchase payload, not tracked: transactionId is required');
+        });
+
+        test('should keep numeric order and item IDs intact under the default PII detectors', () => {
+            tracker = new UmamiTracker({ currency: 'EUR' });
+
+            tracker.purchase({
+                transactionId: 'ORD-20241015',
+                items: [
+                    { id: '100045678', name: 'Trail Shoe', price: 59.99 },
+                    // Passes the Luhn check, like one in ten 13-digit article numbers
+                    { id: 4006381333932, name: 'Wool Sock', price: 9.5 }
+                ]
+            });
+
+            expect(window.umami.track).toHaveBeenCalledWith('purchase', expect.objectContaining({
+                transactionId: 'ORD-20241015',
+                itemIds: '100045678,4006381333932',
+                item1Id: '100045678',
+                item2Id: '4006381333932'
+            }));
+        });
+
+        test('should still scrub personal data from other ecommerce fields', () => {
+            tracker = new UmamiTracker({ currency: 'EUR' });
+
+            tracker.addToCart({ items: [{ id: '100045678', name: 'Gift for jane@example.com' }], coupon: 'call 555-123-4567' });
+
+            expect(window.umami.track).toHaveBeenCalledWith('add-to-cart', expect.objectContaining({
+                item1Id: '100045678',
+                item1Name: 'Gift for [redacted]',
+                coupon: 'call [redacted]'
+            }));
+        });
+
+        test('should keep large orders within Umami limits', () => {
+            tracker = new UmamiTracker({ currency: 'EUR' });
+            const items = Array.from({ length: 12 }, (_, i) => ({
+                id: `SKU-${i + 1}`, name: 'x'.repeat(600), category: 'Bulk', price: 1, quantity: 1
+            }));
+
+            tracker.purchase({ items, transactionId: 'T-200' });
+
+            const data = window.umami.track.mock.calls[0][1];
+            expect(Object.keys(data).length).toBeLessThanOrEqual(50);
+            expect(data.itemsTruncated).toBe(true);
+            expect(data.itemCount).toBe(12);
+            expect(data.value).toBe(12);
+            expect(data.itemIds.split(',')).toHaveLength(12);
+            expect(data.item8Id).toBe('SKU-8');
+            expect(data.item9Id).toBeUndefined();
+            expect(data.item1Name).toHaveLength(500);
+        });
+
+        test('should report product card impressions and clicks', () => {
+            document.body.innerHTML = `
+                <ul data-umami-product-list="Search results">
+                    <li data-umami-product-id="SKU-1" data-umami-product-name="Trail Shoe" data-umami-product-price="59.99"
+                        data-umami-product-currency="EUR"><a href="/p/1">Trail Shoe</a></li>
+                    <li id="sock" data-umami-product-id="SKU-2" data-umami-product-brand="Woolly"><a href="/p/2">Wool Sock</a></li>
+                </ul>
+            `;
+            tracker = new UmamiTracker();
+            const sock = document.getElementById('sock');
+
+            intersect(sock, 0.6);
+            sock.querySelector('a').click();
+
+            expect(window.umami.track.mock.calls).toEqual([
+                ['product-impression', {
+                    listName: 'Search results', position: 2, itemCount: 1, itemIds: 'SKU-2', item1Id: 'SKU-2', item1Brand: 'Woolly'
+                }],
+                ['product-click', expect.objectContaining({ listName: 'Search results', position: 2, item1Id: 'SKU-2' })]
+            ]);
+
+            window.umami.track.mockClear();
+            intersect(document.querySelector('li'), 1);
+            expect(window.umami.track).toHaveBeenCalledWith('product-impression', expect.objectContaining({
+                position: 1, currency: 'EUR', value: 59.99, item1Name: 'Trail Shoe', item1Price: 59.99
+            }));
+        });
+
+        test('should skip product cards with invalid attributes or when disabled', () => {
+            document.body.innerHTML = `
+                <div id="bad" data-umami-product-id="SKU-3" data-umami-product-price="free" data-umami-product-currency="EUR"></div>
+                <div id="good" data-umami-product-id="SKU-4"></div>
+            `;
+            tracker = new UmamiTracker();
+            intersect(document.getElementById('bad'), 1);
+            document.getElementById('bad').click();
+            expect(window.umami.track).not.toHaveBeenCalled();
+            tracker.destroy();
+
+            tracker = new UmamiTracker({ autoTrackProducts: false });
+            intersect(document.getElementById('good'), 1);
+            document.getElementById('good').click();
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Event Schemas', () => {
+        const productClick = {
+            description: 'A product card was clicked',
+            properties: {
+                productId: { type: 'string', required: true, maxLength: 8 },
+                list: { type: 'string', enum: ['search', 'home'] },
+                position: { type: 'integer' }
+            },
+            additionalProperties: false
+        };
+
+        beforeEach(() => {
+            window.umami = { track: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.umami;
+        });
+
+        test('should send matching events untouched', () => {
+            tracker = new UmamiTracker().defineEventSchema('product-click', productClick);
+
+            tracker.trackEvent('product-click', { productId: 'SKU-1', list: 'home', position: 2 });
+
+            expect(window.umami.track).toHaveBeenCalledWith('product-click', { productId: 'SKU-1', list: 'home', position: 2 });
+            expect(tracker.getStats().schemaViolations).toBe(0);
+        });
+
+        test('should warn in debug mode and still send by default', () => {
+            tracker = new UmamiTracker({ debug: true, eventSchemas: { 'product-click': productClick } });
+
+            tracker.trackEvent('product-click', { productID: 'SKU-1', list: 'footer', position: '2' });
+
+            expect(console.warn).toHaveBeenCalledWith('UmamiTracker: "product-click" does not match its schema: ' +
+                'productId is required; list must be one of search, home; position must be an integer; productID is not in the schema');
+            expect(window.umami.track).toHaveBeenCalledWith('product-click', { productID: 'SKU-1', list: 'footer', position: '2' });
+            expect(tracker.getStats().schemaViolations).toBe(1);
+        });
+
+        test('should throw in debug mode when configured to', () => {
+            tracker = new UmamiTracker({ debug: true, schemaDebugAction: 'throw' });
+            tracker.defineEventSchema('product-click', productClick);
+
+            expect(() => tracker.trackEvent('product-click', { position: 1 })).toThrow('productId is required');
+            expect(window.umami.track).not.toHaveBeenCalled();
+        });
+
+        test('should drop violating events without warning in production', () => {
+            tracker = new UmamiTracker({ schemaAction: 'drop' }).defineEventSchema('product-click', productClick);
+
+            tracker.trackEvent('product-click', { productId: 'SKU-1', extra: true });
+            tracker.trackEvent('other-event', { anything: 1 });
+
+            expect(console.warn).not.toHaveBeenCalled();
+            expect(window.umami.track.mock.calls).toEqual([['other-event', { anything: 1 }]]);
+        });
+
+        test('should repair what it can and drop what it cannot', () => {
+            tracker = new UmamiTracker({ schemaAction: 'repair' }).defineEventSchema('product-click', productClick);
+
+            tracker.trackEvent('product-click', { productID: 'SKU-123456789', list: 'footer', position: '3', extra: 'x' });
+            tracker.trackEvent('product-click', { list: 'home' });
+
+            expect(window.umami.track.mock.calls).toEqual([['product-click', { productId: 'SKU-1234', position: 3 }]]);
+        });
+
+        test('should validate built-in events after plugins run', () => {
+            tracker = new UmamiTracker({
+                schemaAction: 'drop',
+                plugins: [{ beforeTrack: (event) => ({ data: { ...event.data, release: '1.0' } }) }]
+            });
+            tracker.defineEventSchema('custom-event', { properties: { release: { type: 'string', required: true } } });
+
+            tracker.trackEvent('custom-event', { id: 1 });
+
+            expect(window.umami.track).toHaveBeenCalledWith('custom-event', { id: 1, release: '1.0' });
+        });
+
+        test('should reject invalid schemas and export the catalogue as JSON', () => {
+            tracker = new UmamiTracker({ debug: true });
+
+            tracker.defineEventSchema('bad', { properties: { id: { type: 'uuid' }, tags: { type: 'number', maxLength: 3 } } });
+            tracker.defineEventSchema('signup', { properties: { plan: { type: 'string', enum: ['free', 'pro'], required: true } } });
+            tracker.defineEventSchema('product-click', productClick);
+
+            expect(console.log).toHaveBeenCalledWith('[UmamiTracker]',
+                'Invalid schema for "bad": id needs a type: string, number, integer, boolean; tags.maxLength needs a string property and a non-negative integer');
+            expect(JSON.parse(tracker.exportEventSchemas())).toEqual({
+                events: {
+                    'product-click': {
+                        description: 'A product card was clicked',
+                        properties: {
+                            productId: { type: 'string', required: true, maxLength: 8 },
+                            list: { type: 'string', required: false, enum: ['search', 'home'] },
+                            position: { type: 'integer', required: false }
+                        },
+                        additionalProperties: false
+                    },
+                    signup: {
+                        description: '',
+                        properties: { plan: { type: 'string', required: true, enum: ['free', 'pro'] } },
+                        additionalProperties: true
+                    }
+                }
+            });
+        });
     });
 
     describe('Edge Cases', () => {